@@ -0,0 +1,164 @@
+import {
+  NullOrder,
+  SortColumn,
+  compareSortValues,
+  createCollator,
+  getSortValue,
+  getValueKind,
+  sortRecordIds,
+} from "../helpers/comparators";
+import { RecordValues, createColumn, createRecord } from "./mocks/dataset";
+
+const columns = [
+  createColumn("fullname"),
+  createColumn("numberofemployees", "Whole.None"),
+  createColumn("revenue", "Currency"),
+  createColumn("birthdate", "DateAndTime.DateOnly"),
+  createColumn("donotemail", "TwoOptions"),
+  createColumn("parentcustomerid", "Lookup.Simple"),
+  createColumn("address1_city"),
+];
+
+function createRecords(valuesList: RecordValues[]) {
+  const records: { [id: string]: ReturnType<typeof createRecord> } = {};
+  valuesList.forEach((values, index) => {
+    records[`id-${index + 1}`] = createRecord(`id-${index + 1}`, values);
+  });
+  return records;
+}
+
+function sortBy(valuesList: RecordValues[], sortColumns: SortColumn[], nullOrder: NullOrder = "last") {
+  const records = createRecords(valuesList);
+  return sortRecordIds(Object.keys(records), records, columns, sortColumns, nullOrder);
+}
+
+function lookup(name: string | null) {
+  return [{ id: { guid: name ?? "none" }, name, etn: "account" }];
+}
+
+describe("getValueKind", () => {
+  it("maps the data types to the kind of value they compare by", () => {
+    expect(getValueKind("Currency")).toBe("number");
+    expect(getValueKind("OptionSet")).toBe("number");
+    expect(getValueKind("DateAndTime.DateAndTime")).toBe("date");
+    expect(getValueKind("TwoOptions")).toBe("boolean");
+    expect(getValueKind("Lookup.Simple")).toBe("text");
+    expect(getValueKind("SingleLine.Text")).toBe("text");
+  });
+});
+
+describe("getSortValue", () => {
+  const column = (name: string) => columns.find((candidate) => candidate.name === name) as (typeof columns)[number];
+
+  it("reads numbers, including numeric strings", () => {
+    expect(getSortValue(createRecord("1", { revenue: 10 }), column("revenue"))).toBe(10);
+    expect(getSortValue(createRecord("1", { revenue: "9.5" }), column("revenue"))).toBe(9.5);
+    expect(getSortValue(createRecord("1", { revenue: "n/a" }), column("revenue"))).toBeNull();
+  });
+
+  it("reads dates as times", () => {
+    const time = new Date("2024-03-01").getTime();
+    expect(getSortValue(createRecord("1", { birthdate: "2024-03-01" }), column("birthdate"))).toBe(time);
+    expect(getSortValue(createRecord("1", { birthdate: new Date(time) }), column("birthdate"))).toBe(time);
+    expect(getSortValue(createRecord("1", { birthdate: "not a date" }), column("birthdate"))).toBeNull();
+  });
+
+  it("reads two options as booleans", () => {
+    expect(getSortValue(createRecord("1", { donotemail: 1 }), column("donotemail"))).toBe(true);
+    expect(getSortValue(createRecord("1", { donotemail: false }), column("donotemail"))).toBe(false);
+  });
+
+  it("reads lookups by the name of the referenced record", () => {
+    expect(getSortValue(createRecord("1", { parentcustomerid: lookup("Contoso") }), column("parentcustomerid"))).toBe(
+      "Contoso"
+    );
+    expect(getSortValue(createRecord("1", { parentcustomerid: lookup(null) }), column("parentcustomerid"))).toBeNull();
+  });
+
+  it("returns null for blank values", () => {
+    expect(getSortValue(createRecord("1", { fullname: "" }), column("fullname"))).toBeNull();
+    expect(getSortValue(createRecord("1", {}), column("revenue"))).toBeNull();
+  });
+});
+
+describe("compareSortValues", () => {
+  const collator = createCollator();
+
+  it("compares numbers by value and text in natural order", () => {
+    expect(compareSortValues(10, 9, true, "last", collator)).toBeGreaterThan(0);
+    expect(compareSortValues("Item 10", "Item 9", true, "last", collator)).toBeGreaterThan(0);
+    expect(compareSortValues("anna", "Anna", true, "last", collator)).toBe(0);
+  });
+
+  it("reverses the result for descending sorts", () => {
+    expect(compareSortValues(10, 9, false, "last", collator)).toBeLessThan(0);
+  });
+
+  it("keeps blank values in the null order whatever the direction", () => {
+    [true, false].forEach((isAscending) => {
+      expect(compareSortValues(null, 1, isAscending, "last", collator)).toBe(1);
+      expect(compareSortValues(null, 1, isAscending, "first", collator)).toBe(-1);
+      expect(compareSortValues(null, null, isAscending, "first", collator)).toBe(0);
+    });
+  });
+});
+
+describe("sortRecordIds", () => {
+  it("sorts number columns numerically rather than as text", () => {
+    const valuesList = [{ numberofemployees: 10 }, { numberofemployees: 9 }, { numberofemployees: 100 }];
+    expect(sortBy(valuesList, [{ name: "numberofemployees", isAscending: true }])).toEqual(["id-2", "id-1", "id-3"]);
+  });
+
+  it("sorts text columns with numbers in natural order", () => {
+    const valuesList = [{ fullname: "Contact 10" }, { fullname: "Contact 9" }, { fullname: "contact 1" }];
+    expect(sortBy(valuesList, [{ name: "fullname", isAscending: true }])).toEqual(["id-3", "id-2", "id-1"]);
+  });
+
+  it("sorts dates chronologically", () => {
+    const valuesList = [{ birthdate: "2024-01-15" }, { birthdate: "2023-12-31" }, { birthdate: "2024-01-02" }];
+    expect(sortBy(valuesList, [{ name: "birthdate", isAscending: false }])).toEqual(["id-1", "id-3", "id-2"]);
+  });
+
+  it("sorts lookups by name", () => {
+    const valuesList = [
+      { parentcustomerid: lookup("Fabrikam") },
+      { parentcustomerid: lookup("Adventure Works") },
+      { parentcustomerid: lookup("Contoso") },
+    ];
+    expect(sortBy(valuesList, [{ name: "parentcustomerid", isAscending: true }])).toEqual(["id-2", "id-3", "id-1"]);
+  });
+
+  it("places blank values last or first in both directions", () => {
+    const valuesList = [{ revenue: 200 }, { revenue: null }, { revenue: 100 }];
+
+    expect(sortBy(valuesList, [{ name: "revenue", isAscending: true }], "last")).toEqual(["id-3", "id-1", "id-2"]);
+    expect(sortBy(valuesList, [{ name: "revenue", isAscending: false }], "last")).toEqual(["id-1", "id-3", "id-2"]);
+    expect(sortBy(valuesList, [{ name: "revenue", isAscending: true }], "first")).toEqual(["id-2", "id-3", "id-1"]);
+    expect(sortBy(valuesList, [{ name: "revenue", isAscending: false }], "first")).toEqual(["id-2", "id-1", "id-3"]);
+  });
+
+  it("breaks ties with the next sort column", () => {
+    const valuesList = [
+      { address1_city: "Paris", revenue: 100 },
+      { address1_city: "London", revenue: 300 },
+      { address1_city: "Paris", revenue: 200 },
+      { address1_city: "London", revenue: 100 },
+    ];
+    const sortColumns = [
+      { name: "address1_city", isAscending: true },
+      { name: "revenue", isAscending: false },
+    ];
+
+    expect(sortBy(valuesList, sortColumns)).toEqual(["id-2", "id-4", "id-3", "id-1"]);
+  });
+
+  it("keeps the loaded order of records that tie on every sort column", () => {
+    const valuesList = [{ address1_city: "Paris" }, { address1_city: "London" }, { address1_city: "Paris" }];
+    expect(sortBy(valuesList, [{ name: "address1_city", isAscending: true }])).toEqual(["id-2", "id-1", "id-3"]);
+  });
+
+  it("ignores sort columns that are not in the dataset", () => {
+    const valuesList = [{ fullname: "B" }, { fullname: "A" }];
+    expect(sortBy(valuesList, [{ name: "missing", isAscending: true }])).toEqual(["id-1", "id-2"]);
+  });
+});
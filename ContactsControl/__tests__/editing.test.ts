@@ -0,0 +1,157 @@
+import { ColumnMetadata, saveChanges, toWebApiValue, validateEditValue } from "../helpers/editing";
+import { StringFormatter } from "../helpers/strings";
+import { createColumn } from "./mocks/dataset";
+
+// Returns the key followed by its values, so tests can tell which message was picked
+const getString: StringFormatter = (key, ...values) => [key, ...values].join(" ");
+
+function createWebApi(updateRecord: jest.Mock): ComponentFramework.WebApi {
+  return { updateRecord } as unknown as ComponentFramework.WebApi;
+}
+
+describe("saveChanges", () => {
+  it("sends one update per row with the converted values", async () => {
+    const updateRecord = jest.fn(() => Promise.resolve({ id: "1" }));
+
+    const results = await saveChanges(
+      createWebApi(updateRecord),
+      "contact",
+      { "1": { fullname: " Ada ", numberofchildren: "2" }, "2": { preferredcontactmethodcode: "" } },
+      { fullname: "text", numberofchildren: "number", preferredcontactmethodcode: "optionset" },
+      getString
+    );
+
+    expect(updateRecord).toHaveBeenCalledWith("contact", "1", { fullname: "Ada", numberofchildren: 2 });
+    expect(updateRecord).toHaveBeenCalledWith("contact", "2", { preferredcontactmethodcode: null });
+    expect(results).toEqual([{ recordId: "1" }, { recordId: "2" }]);
+  });
+
+  it("reports failures per row without stopping the other rows", async () => {
+    const updateRecord = jest.fn((entityType: string, recordId: string) =>
+      recordId === "2" ? Promise.reject(new Error("Access denied")) : Promise.resolve({ id: recordId })
+    );
+
+    const results = await saveChanges(
+      createWebApi(updateRecord),
+      "contact",
+      { "1": { fullname: "Ada" }, "2": { fullname: "Grace" }, "3": { fullname: "Alan" } },
+      { fullname: "text" },
+      getString
+    );
+
+    expect(results).toEqual([{ recordId: "1" }, { recordId: "2", error: "Access denied" }, { recordId: "3" }]);
+  });
+
+  it("falls back to the localized message for errors without one", async () => {
+    const updateRecord = jest.fn(() => Promise.reject("offline"));
+
+    const results = await saveChanges(
+      createWebApi(updateRecord),
+      "contact",
+      { "1": { fullname: "Ada" } },
+      { fullname: "text" },
+      getString
+    );
+
+    expect(results).toEqual([{ recordId: "1", error: "Save_Failed" }]);
+  });
+
+  it("turns a synchronous throw from the host into a failed row", async () => {
+    const updateRecord = jest.fn((entityType: string, recordId: string) => {
+      if (recordId === "1") throw new Error("Not supported");
+      return Promise.resolve({ id: recordId });
+    });
+
+    const results = await saveChanges(
+      createWebApi(updateRecord),
+      "contact",
+      { "1": { fullname: "Ada" }, "2": { fullname: "Grace" } },
+      { fullname: "text" },
+      getString
+    );
+
+    expect(results).toEqual([{ recordId: "1", error: "Not supported" }, { recordId: "2" }]);
+  });
+});
+
+describe("toWebApiValue", () => {
+  it("sends date and time values as ISO strings", () => {
+    expect(toWebApiValue("datetime", "2024-03-05T14:30")).toBe(new Date("2024-03-05T14:30").toISOString());
+  });
+
+  it("keeps date-only values as entered", () => {
+    expect(toWebApiValue("date", "2024-03-05")).toBe("2024-03-05");
+  });
+
+  it("sends option set values as numbers", () => {
+    expect(toWebApiValue("optionset", "100000001")).toBe(100000001);
+  });
+
+  it("sends numbers as numbers", () => {
+    expect(toWebApiValue("number", " 12.5 ")).toBe(12.5);
+  });
+
+  it("clears blank values", () => {
+    expect(toWebApiValue("text", "   ")).toBeNull();
+    expect(toWebApiValue("number", "")).toBeNull();
+    expect(toWebApiValue("datetime", "")).toBeNull();
+  });
+
+  it("passes booleans through", () => {
+    expect(toWebApiValue("boolean", false)).toBe(false);
+  });
+});
+
+describe("validateEditValue", () => {
+  const required: ColumnMetadata = { requiredLevel: 2 };
+  const optional: ColumnMetadata = { requiredLevel: 0 };
+
+  it("requires values for required columns", () => {
+    const column = createColumn("lastname", "SingleLine.Text", { displayName: "Last Name" });
+
+    expect(validateEditValue("text", "  ", column, required, getString)).toBe("Validation_Required Last Name");
+    expect(validateEditValue("text", "", column, { requiredLevel: 1 }, getString)).toBe(
+      "Validation_Required Last Name"
+    );
+    expect(validateEditValue("text", "", column, optional, getString)).toBeNull();
+    expect(validateEditValue("text", "", column, undefined, getString)).toBeNull();
+  });
+
+  it("checks the maximum length", () => {
+    const column = createColumn("lastname", "SingleLine.Text", { displayName: "Last Name" });
+    const metadata: ColumnMetadata = { requiredLevel: 0, maxLength: 3 };
+
+    expect(validateEditValue("text", "Lovelace", column, metadata, getString)).toBe(
+      "Validation_Max_Length Last Name 3"
+    );
+    expect(validateEditValue("text", "Ada", column, metadata, getString)).toBeNull();
+  });
+
+  it("checks email addresses", () => {
+    const column = createColumn("emailaddress1", "SingleLine.Email");
+
+    expect(validateEditValue("email", "ada@example.com", column, optional, getString)).toBeNull();
+    expect(validateEditValue("email", "ada@example", column, optional, getString)).toBe("Validation_Email");
+    expect(validateEditValue("email", "ada lovelace@example.com", column, optional, getString)).toBe(
+      "Validation_Email"
+    );
+  });
+
+  it("checks phone numbers", () => {
+    const column = createColumn("telephone1", "SingleLine.Phone");
+
+    expect(validateEditValue("phone", "+1 (425) 555-0100", column, optional, getString)).toBeNull();
+    expect(validateEditValue("phone", "425-555-0100 ext. 12", column, optional, getString)).toBeNull();
+    expect(validateEditValue("phone", "call me", column, optional, getString)).toBe("Validation_Phone");
+  });
+
+  it("only accepts whole numbers for whole number columns", () => {
+    const wholeNumber = createColumn("numberofchildren", "Whole.None");
+    const decimal = createColumn("creditlimit", "Decimal");
+
+    expect(validateEditValue("number", "3", wholeNumber, optional, getString)).toBeNull();
+    expect(validateEditValue("number", "2.5", wholeNumber, optional, getString)).toBe("Validation_Whole_Number");
+    expect(validateEditValue("number", "2.5", decimal, optional, getString)).toBeNull();
+    expect(validateEditValue("number", "abc", wholeNumber, optional, getString)).toBe("Validation_Number");
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * @jest-environment node
+ */
+import {
+  DEFAULT_VCARD_MAPPING,
+  ExportTable,
+  parseVCardMapping,
+  toCsv,
+  toVCard,
+  toXlsx,
+} from "../helpers/exporters";
+import { createZip, crc32 } from "../helpers/zip";
+import { createRecord } from "./mocks/dataset";
+
+// Reads a stored archive through its central directory, the way zip readers do, checking every CRC on the way
+function readZip(zip: Uint8Array): { [path: string]: string } {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const decoder = new TextDecoder();
+  const endOffset = zip.length - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let centralOffset = view.getUint32(endOffset + 16, true);
+  expect(centralOffset + view.getUint32(endOffset + 12, true)).toBe(endOffset);
+
+  const files: { [path: string]: string } = {};
+  for (let i = 0; i < entryCount; i++) {
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    const crc = view.getUint32(centralOffset + 16, true);
+    const size = view.getUint32(centralOffset + 24, true);
+    const nameLength = view.getUint16(centralOffset + 28, true);
+    const localOffset = view.getUint32(centralOffset + 42, true);
+    const path = decoder.decode(zip.subarray(centralOffset + 46, centralOffset + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    expect(view.getUint32(localOffset + 14, true)).toBe(crc);
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = zip.subarray(dataOffset, dataOffset + size);
+    expect(crc32(data)).toBe(crc);
+
+    files[path] = decoder.decode(data);
+    centralOffset += 46 + nameLength;
+  }
+
+  return files;
+}
+
+function readSheetName(workbook: Uint8Array): string | undefined {
+  return readZip(workbook)["xl/workbook.xml"].match(/<sheet name="([^"]*)"/)?.[1];
+}
+
+describe("toCsv", () => {
+  it("starts with a BOM and ends every line with CRLF", () => {
+    const csv = toCsv({ headers: ["Name", "City"], rows: [[{ text: "Ada" }, { text: "London" }]] });
+    expect(csv).toBe("\uFEFFName,City\r\nAda,London\r\n");
+  });
+
+  it("keeps accented and non-Latin names", () => {
+    const csv = toCsv({
+      headers: ["Name"],
+      rows: [[{ text: "Zoë Ångström" }], [{ text: "李小龍" }], [{ text: "😀" }]],
+    });
+    expect(csv).toBe("\uFEFFName\r\nZoë Ångström\r\n李小龍\r\n😀\r\n");
+  });
+
+  it("writes empty fields between their separators", () => {
+    const csv = toCsv({
+      headers: ["Name", "City", "Phone"],
+      rows: [[{ text: "" }, { text: "Paris" }, { text: "" }]],
+    });
+    expect(csv).toBe("\uFEFFName,City,Phone\r\n,Paris,\r\n");
+  });
+
+  it("quotes fields with quotes, commas and line breaks", () => {
+    const csv = toCsv({
+      headers: ["Name"],
+      rows: [[{ text: 'Ada "Countess" Lovelace' }], [{ text: "Lovelace, Ada" }], [{ text: "Line 1\r\nLine 2" }]],
+    });
+
+    expect(csv.split("\r\n").slice(1, 3)).toEqual(['"Ada ""Countess"" Lovelace"', '"Lovelace, Ada"']);
+    expect(csv).toContain('"Line 1\r\nLine 2"');
+  });
+
+  it("prefixes text that would run as a formula", () => {
+    const csv = toCsv({
+      headers: ["=Header"],
+      rows: [
+        [{ text: '=HYPERLINK("http://example.com","Click")' }],
+        [{ text: "+A1+B1" }],
+        [{ text: "-cmd|' /C calc'!A0" }],
+        [{ text: "@SUM(A1)" }],
+        [{ text: "\tTabbed" }],
+        [{ text: "\rReturn" }],
+      ],
+    });
+
+    expect(csv.slice(1).split("\r\n").slice(0, 6)).toEqual([
+      "'=Header",
+      `"'=HYPERLINK(""http://example.com"",""Click"")"`,
+      "'+A1+B1",
+      "'-cmd|' /C calc'!A0",
+      "'@SUM(A1)",
+      "'\tTabbed",
+    ]);
+    expect(csv).toContain(`"'\rReturn"`);
+  });
+
+  it("leaves phone numbers alone", () => {
+    const csv = toCsv({
+      headers: ["Phone"],
+      rows: [[{ text: "+1 425 555 0100" }], [{ text: "+1 (425) 555-0100" }], [{ text: "-33.1.23.45.67" }]],
+    });
+    expect(csv).toBe("\uFEFFPhone\r\n+1 425 555 0100\r\n+1 (425) 555-0100\r\n-33.1.23.45.67\r\n");
+  });
+
+  it("leaves negative numbers alone", () => {
+    const csv = toCsv({ headers: ["Balance"], rows: [[{ text: "-1,200.50", number: -1200.5 }]] });
+    expect(csv).toBe('\uFEFFBalance\r\n"-1,200.50"\r\n');
+  });
+});
+
+describe("toXlsx", () => {
+  const table: ExportTable = {
+    headers: ["Name", "Revenue"],
+    rows: [
+      [{ text: 'Smith & <Sons> "Ltd"' }, { text: "$1,200.50", number: 1200.5 }],
+      [{ text: "" }, { text: "n/a" }],
+    ],
+  };
+
+  it("writes a readable archive with every workbook part", () => {
+    const files = readZip(toXlsx(table, "Contacts"));
+
+    expect(Object.keys(files)).toEqual([
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/worksheets/sheet1.xml",
+    ]);
+  });
+
+  it("escapes text and writes numbers as numeric cells", () => {
+    const sheet = readZip(toXlsx(table, "Contacts"))["xl/worksheets/sheet1.xml"];
+
+    expect(sheet).toContain(
+      '<c r="A2" t="inlineStr"><is><t xml:space="preserve">Smith &amp; &lt;Sons&gt; &quot;Ltd&quot;</t></is></c>'
+    );
+    expect(sheet).toContain('<c r="B2"><v>1200.5</v></c>');
+    expect(sheet).toContain('<row r="3"><c r="B3" t="inlineStr">');
+  });
+
+  it("keeps accented and non-Latin text", () => {
+    const unicodeTable = { headers: ["Nom"], rows: [[{ text: "Zoë Ångström" }], [{ text: "李小龍 😀" }]] };
+    const workbook = toXlsx(unicodeTable, "Données");
+    const sheet = readZip(workbook)["xl/worksheets/sheet1.xml"];
+
+    expect(sheet).toContain('<t xml:space="preserve">Zoë Ångström</t>');
+    expect(sheet).toContain('<t xml:space="preserve">李小龍 😀</t>');
+    expect(readSheetName(workbook)).toBe("Données");
+  });
+
+  it("replaces the characters Excel does not allow in sheet names", () => {
+    expect(readSheetName(toXlsx(table, "Contacts: Mine/All"))).toBe("Contacts Mine All");
+    expect(readSheetName(toXlsx(table, "[Q1] *Leads?* \\ 'West'"))).toBe("Q1 Leads 'West");
+  });
+
+  it("limits sheet names to 31 characters", () => {
+    expect(readSheetName(toXlsx(table, "Contacts with an unusually long view name"))).toBe(
+      "Contacts with an unusually long"
+    );
+  });
+
+  it("falls back when nothing is left of the sheet name", () => {
+    expect(readSheetName(toXlsx(table, "///", "Contacts"))).toBe("Contacts");
+    expect(readSheetName(toXlsx(table, ""))).toBe("Sheet1");
+  });
+
+  it("escapes the sheet name", () => {
+    expect(readSheetName(toXlsx(table, "Sales & Marketing"))).toBe("Sales &amp; Marketing");
+  });
+});
+
+describe("createZip", () => {
+  it("keeps UTF-8 paths and content", () => {
+    const files = readZip(createZip([{ path: "données/é.txt", content: "Zoë 😀" }]));
+    expect(files).toEqual({ "données/é.txt": "Zoë 😀" });
+  });
+});
+
+describe("toVCard", () => {
+  it("escapes semicolons, commas and backslashes", () => {
+    const record = createRecord("1", {
+      fullname: "Ada; Countess, of \\ Lovelace",
+      firstname: "Ada",
+      lastname: "King; Lovelace",
+      address1_line1: "12 St James's Square, Westminster",
+    });
+
+    const lines = toVCard(record, DEFAULT_VCARD_MAPPING).split("\r\n");
+
+    expect(lines).toContain("FN:Ada\\; Countess\\, of \\\\ Lovelace");
+    expect(lines).toContain("N:King\\; Lovelace;Ada;;;");
+    expect(lines).toContain("ADR;TYPE=work:;;12 St James's Square\\, Westminster;;;;");
+  });
+
+  it("folds long lines at 75 octets without splitting a character", () => {
+    const record = createRecord("1", { fullname: "Zoë Ångström-Øster ".repeat(8).trim() });
+    const encoder = new TextEncoder();
+
+    const vCard = toVCard(record, DEFAULT_VCARD_MAPPING);
+    const lines = vCard.split("\r\n");
+    const fnStart = lines.findIndex((line) => line.startsWith("FN:"));
+    const fnLines = [lines[fnStart]];
+    while (lines[fnStart + fnLines.length].startsWith(" ")) fnLines.push(lines[fnStart + fnLines.length]);
+
+    expect(fnLines.length).toBeGreaterThan(1);
+    fnLines.forEach((line) => expect(encoder.encode(line).length).toBeLessThanOrEqual(75));
+    expect(fnLines.map((line, index) => (index === 0 ? line : line.slice(1))).join("")).toBe(
+      `FN:${"Zoë Ångström-Øster ".repeat(8).trim()}`
+    );
+  });
+
+  it("writes a valid card for an empty record", () => {
+    expect(toVCard(createRecord("1", {}), DEFAULT_VCARD_MAPPING)).toBe(
+      "BEGIN:VCARD\r\nVERSION:4.0\r\nFN:\r\nEND:VCARD\r\n"
+    );
+  });
+
+  it("builds the full name from the given and family names", () => {
+    const vCard = toVCard(createRecord("1", { firstname: "Grace", lastname: "Hopper" }), DEFAULT_VCARD_MAPPING);
+    expect(vCard).toContain("FN:Grace Hopper\r\nN:Hopper;Grace;;;\r\n");
+  });
+});
+
+describe("parseVCardMapping", () => {
+  it("uses the defaults without a mapping", () => {
+    expect(parseVCardMapping(null)).toEqual(DEFAULT_VCARD_MAPPING);
+    expect(parseVCardMapping("")).toEqual(DEFAULT_VCARD_MAPPING);
+  });
+
+  it("uses the defaults for invalid JSON", () => {
+    expect(parseVCardMapping("{email: emailaddress2")).toEqual(DEFAULT_VCARD_MAPPING);
+    expect(parseVCardMapping("null")).toEqual(DEFAULT_VCARD_MAPPING);
+    expect(parseVCardMapping('"emailaddress2"')).toEqual(DEFAULT_VCARD_MAPPING);
+  });
+
+  it("applies string overrides for known fields only", () => {
+    const mapping = parseVCardMapping('{"email":"emailaddress2","org":42,"nickname":"nickname"}');
+
+    expect(mapping).toEqual({ ...DEFAULT_VCARD_MAPPING, email: "emailaddress2" });
+    expect(mapping).not.toHaveProperty("nickname");
+  });
+});
@@ -0,0 +1,135 @@
+import {
+  RecordGroup,
+  computeAggregates,
+  countGroupRows,
+  groupRecordIds,
+  isNumericColumn,
+  paginateGroups,
+} from "../helpers/grouping";
+import { RecordValues, createColumn, createRecord } from "./mocks/dataset";
+
+const cityColumn = createColumn("address1_city");
+const revenueColumn = createColumn("revenue", "Currency");
+
+function createRecords(valuesList: RecordValues[]) {
+  const records: { [id: string]: ReturnType<typeof createRecord> } = {};
+  valuesList.forEach((values, index) => {
+    records[`id-${index + 1}`] = createRecord(`id-${index + 1}`, values);
+  });
+  return records;
+}
+
+function createGroup(key: string, size: number, firstId = 1): RecordGroup {
+  return { key, recordIds: Array.from({ length: size }, (_, index) => `id-${firstId + index}`) };
+}
+
+// Paris holds 10 records, London 8 and Berlin 5: 23 rows, or two pages of 13
+const groups = [createGroup("Paris", 10, 1), createGroup("London", 8, 11), createGroup("Berlin", 5, 19)];
+
+function describeSegments(collapsedKeys: string[], startIndex: number, pageSize = 13) {
+  return paginateGroups(groups, collapsedKeys, startIndex, pageSize).map((segment) => ({
+    key: segment.group.key,
+    rows: segment.recordIds.length,
+    isCollapsed: segment.isCollapsed,
+    isContinued: segment.isContinued,
+  }));
+}
+
+describe("groupRecordIds", () => {
+  it("groups by the formatted value in the order of the first record of each group", () => {
+    const records = createRecords([
+      { address1_city: "Paris" },
+      { address1_city: "London" },
+      { address1_city: "" },
+      { address1_city: "Paris" },
+    ]);
+
+    expect(groupRecordIds(Object.keys(records), records, cityColumn)).toEqual([
+      { key: "Paris", recordIds: ["id-1", "id-4"] },
+      { key: "London", recordIds: ["id-2"] },
+      { key: "", recordIds: ["id-3"] },
+    ]);
+  });
+});
+
+describe("countGroupRows", () => {
+  it("counts every record of expanded groups", () => {
+    expect(countGroupRows(groups, [])).toBe(23);
+  });
+
+  it("counts a collapsed group as one row", () => {
+    expect(countGroupRows(groups, ["Paris"])).toBe(14);
+    expect(countGroupRows(groups, ["Paris", "London", "Berlin"])).toBe(3);
+  });
+});
+
+describe("paginateGroups", () => {
+  it("fills pages of 13 rows across groups", () => {
+    expect(describeSegments([], 0)).toEqual([
+      { key: "Paris", rows: 10, isCollapsed: false, isContinued: false },
+      { key: "London", rows: 3, isCollapsed: false, isContinued: false },
+    ]);
+  });
+
+  it("marks a group that started on an earlier page as continued", () => {
+    expect(describeSegments([], 13)).toEqual([
+      { key: "London", rows: 5, isCollapsed: false, isContinued: true },
+      { key: "Berlin", rows: 5, isCollapsed: false, isContinued: false },
+    ]);
+  });
+
+  it("keeps the record order within a continued group", () => {
+    const [london] = paginateGroups(groups, [], 13, 13);
+    expect(london.recordIds).toEqual(["id-14", "id-15", "id-16", "id-17", "id-18"]);
+  });
+
+  it("shows a collapsed group as one row without records", () => {
+    expect(describeSegments(["Paris"], 0)).toEqual([
+      { key: "Paris", rows: 0, isCollapsed: true, isContinued: false },
+      { key: "London", rows: 8, isCollapsed: false, isContinued: false },
+      { key: "Berlin", rows: 4, isCollapsed: false, isContinued: false },
+    ]);
+    expect(describeSegments(["Paris"], 13)).toEqual([
+      { key: "Berlin", rows: 1, isCollapsed: false, isContinued: true },
+    ]);
+  });
+
+  it("returns nothing past the last row", () => {
+    expect(describeSegments([], 26)).toEqual([]);
+  });
+});
+
+describe("computeAggregates", () => {
+  const records = createRecords([
+    { address1_city: "Paris", revenue: 100 },
+    { address1_city: "London", revenue: null },
+    { address1_city: "Paris", revenue: 300 },
+    { address1_city: "", revenue: 200 },
+    { address1_city: "Berlin", revenue: "" },
+  ]);
+  const recordIds = Object.keys(records);
+
+  it("leaves blank values out of the count and the numbers", () => {
+    expect(computeAggregates(recordIds, records, revenueColumn)).toEqual({
+      count: 3,
+      distinctCount: 3,
+      sum: 600,
+      average: 200,
+      min: 100,
+      max: 300,
+    });
+  });
+
+  it("only counts text columns", () => {
+    expect(computeAggregates(recordIds, records, cityColumn)).toEqual({ count: 4, distinctCount: 3 });
+  });
+
+  it("has no numbers when every value is blank", () => {
+    expect(computeAggregates(["id-2", "id-5"], records, revenueColumn)).toEqual({ count: 0, distinctCount: 0 });
+  });
+
+  it("does not add up option sets", () => {
+    expect(isNumericColumn(revenueColumn)).toBe(true);
+    expect(isNumericColumn(createColumn("statuscode", "OptionSet"))).toBe(false);
+  });
+});
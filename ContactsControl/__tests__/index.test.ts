@@ -0,0 +1,482 @@
+import { ContactsControl } from "../index";
+import { createContext, PropertyValues } from "./mocks/context";
+import { DataSetOptions, createColumn, createDataSet, createServerHost } from "./mocks/dataset";
+
+// jsdom does not implement innerText, which the control uses for plain text
+Object.defineProperty(HTMLElement.prototype, "innerText", {
+  configurable: true,
+  get(this: HTMLElement) {
+    return this.textContent;
+  },
+  set(this: HTMLElement, value: string) {
+    this.textContent = value;
+  },
+});
+
+const CITIES = ["Paris", "London", "Berlin"];
+
+// 30 records make three pages of 13 rows
+function createContactsDataSet(overrides: DataSetOptions["overrides"] = {}) {
+  return createDataSet({
+    columns: [
+      createColumn("fullname", "SingleLine.Text", { displayName: "Full Name", isPrimary: true }),
+      createColumn("address1_city", "SingleLine.Text", { displayName: "City" }),
+      createColumn("revenue", "Currency", { displayName: "Revenue" }),
+    ],
+    records: Array.from({ length: 30 }, (_, index) => ({
+      id: `id-${index + 1}`,
+      values: {
+        fullname: `Contact ${String(index + 1).padStart(2, "0")}`,
+        address1_city: CITIES[index % CITIES.length],
+        revenue: (index + 1) * 100,
+      },
+    })),
+    overrides,
+  });
+}
+
+function renderControl(
+  properties: PropertyValues = {},
+  overrides: DataSetOptions["overrides"] = {},
+  strings: { [key: string]: string } = {}
+) {
+  const dataset = createContactsDataSet(overrides);
+  const context = createContext(dataset, properties, strings);
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+
+  const control = new ContactsControl();
+  control.init(context, jest.fn(), {}, container);
+  control.updateView(context);
+
+  // The grid is rebuilt on every render, so it is looked up again each time
+  const getGrid = () => container.querySelector("[role='grid']") as HTMLTableElement;
+  return { control, dataset, context, container, getGrid };
+}
+
+function pressKey(target: Element, key: string, init: KeyboardEventInit = {}): KeyboardEvent {
+  const event = new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...init });
+  target.dispatchEvent(event);
+  return event;
+}
+
+function getFocusedPosition(): [number, number] {
+  const cell = document.activeElement as HTMLTableCellElement;
+  return [(cell.parentElement as HTMLTableRowElement).rowIndex, cell.cellIndex];
+}
+
+function getCurrentPage(container: HTMLElement): string | null | undefined {
+  return container.querySelector(".pagination [aria-current='page']")?.textContent;
+}
+
+function getLastPage(container: HTMLElement): string | null | undefined {
+  const pageButtons = container.querySelectorAll(".pagination .page-list button");
+  return pageButtons[pageButtons.length - 1]?.textContent;
+}
+
+beforeEach(() => {
+  document.body.innerHTML = "";
+  window.localStorage.clear();
+});
+
+describe("grid semantics", () => {
+  it("renders an ARIA grid of rows, column headers and cells", () => {
+    const { getGrid } = renderControl();
+    const grid = getGrid();
+
+    expect(grid.getAttribute("aria-label")).toBe("Contacts");
+    expect(grid.getAttribute("aria-multiselectable")).toBe("true");
+    expect(grid.rows).toHaveLength(14);
+    Array.from(grid.rows).forEach((row) => expect(row.getAttribute("role")).toBe("row"));
+    Array.from(grid.rows[0].cells).forEach((cell) => expect(cell.getAttribute("role")).toBe("columnheader"));
+    Array.from(grid.rows[1].cells).forEach((cell) => expect(cell.getAttribute("role")).toBe("gridcell"));
+  });
+
+  it("is not multiselectable in single selection mode", () => {
+    const { getGrid } = renderControl({ selectionMode: "single" });
+    expect(getGrid().hasAttribute("aria-multiselectable")).toBe(false);
+  });
+
+  it("sets aria-sort on the primary sort column only", () => {
+    const { getGrid } = renderControl();
+    const headers = () => Array.from(getGrid().rows[0].cells);
+    expect(headers().some((cell) => cell.hasAttribute("aria-sort"))).toBe(false);
+
+    (headers()[1] as HTMLElement).click();
+    expect(headers()[1].getAttribute("aria-sort")).toBe("ascending");
+    expect(getGrid().rows[1].cells[1].textContent).toBe("Contact 01");
+
+    (headers()[1] as HTMLElement).click();
+    expect(headers()[1].getAttribute("aria-sort")).toBe("descending");
+    expect(getGrid().rows[1].cells[1].textContent).toBe("Contact 30");
+
+    headers()[2].dispatchEvent(new MouseEvent("click", { bubbles: true, shiftKey: true }));
+    expect(headers().map((cell) => cell.getAttribute("aria-sort"))).toEqual([null, "descending", null, null]);
+  });
+
+  it("reflects the selection in aria-selected", () => {
+    const { getGrid, dataset } = renderControl();
+    expect(getGrid().rows[2].getAttribute("aria-selected")).toBe("false");
+
+    (getGrid().rows[2].cells[0].querySelector("input") as HTMLInputElement).click();
+
+    expect(getGrid().rows[2].getAttribute("aria-selected")).toBe("true");
+    expect(getGrid().rows[1].getAttribute("aria-selected")).toBe("false");
+    expect(dataset.setSelectedRecordIds).toHaveBeenLastCalledWith(["id-2"]);
+  });
+});
+
+describe("grid keyboard navigation", () => {
+  function focusGrid(getGrid: () => HTMLTableElement): void {
+    (getGrid().querySelector("[tabindex='0']") as HTMLElement).focus();
+  }
+
+  it("is a single tab stop", () => {
+    const { getGrid } = renderControl();
+    expect(getGrid().querySelectorAll("[tabindex='0']")).toHaveLength(1);
+    expect(getGrid().querySelectorAll("input[tabindex='0'], button[tabindex='0']")).toHaveLength(0);
+  });
+
+  it("moves between cells with the arrow keys", () => {
+    const { getGrid } = renderControl();
+    focusGrid(getGrid);
+    expect(getFocusedPosition()).toEqual([0, 0]);
+
+    pressKey(document.activeElement as Element, "ArrowDown");
+    pressKey(document.activeElement as Element, "ArrowRight");
+    pressKey(document.activeElement as Element, "ArrowRight");
+    expect(getFocusedPosition()).toEqual([1, 2]);
+
+    pressKey(document.activeElement as Element, "ArrowLeft");
+    pressKey(document.activeElement as Element, "ArrowUp");
+    expect(getFocusedPosition()).toEqual([0, 1]);
+
+    pressKey(document.activeElement as Element, "ArrowUp");
+    expect(getFocusedPosition()).toEqual([0, 1]);
+  });
+
+  it("moves the tab stop along with the focus", () => {
+    const { getGrid } = renderControl();
+    focusGrid(getGrid);
+    pressKey(document.activeElement as Element, "ArrowDown");
+
+    const tabStops = getGrid().querySelectorAll("[tabindex='0']");
+    expect(tabStops).toHaveLength(1);
+    expect(tabStops[0]).toBe(document.activeElement);
+  });
+
+  it("jumps to the ends of a row and of the grid with Home and End", () => {
+    const { getGrid } = renderControl();
+    focusGrid(getGrid);
+    pressKey(document.activeElement as Element, "ArrowDown");
+
+    pressKey(document.activeElement as Element, "End");
+    expect(getFocusedPosition()).toEqual([1, 3]);
+    pressKey(document.activeElement as Element, "Home");
+    expect(getFocusedPosition()).toEqual([1, 0]);
+    pressKey(document.activeElement as Element, "End", { ctrlKey: true });
+    expect(getFocusedPosition()).toEqual([13, 3]);
+    pressKey(document.activeElement as Element, "Home", { ctrlKey: true });
+    expect(getFocusedPosition()).toEqual([0, 0]);
+  });
+
+  it("turns the page with PageDown and PageUp and keeps the focused cell", () => {
+    const { getGrid, container } = renderControl();
+    focusGrid(getGrid);
+    pressKey(document.activeElement as Element, "ArrowDown");
+    pressKey(document.activeElement as Element, "ArrowRight");
+
+    pressKey(document.activeElement as Element, "PageDown");
+    expect(getCurrentPage(container)).toBe("2");
+    expect(getFocusedPosition()).toEqual([1, 1]);
+    expect(document.activeElement?.textContent).toBe("Contact 14");
+
+    pressKey(document.activeElement as Element, "PageDown");
+    pressKey(document.activeElement as Element, "PageDown");
+    expect(getCurrentPage(container)).toBe("3");
+
+    pressKey(document.activeElement as Element, "PageUp");
+    expect(getCurrentPage(container)).toBe("2");
+    pressKey(document.activeElement as Element, "PageUp");
+    pressKey(document.activeElement as Element, "PageUp");
+    expect(getCurrentPage(container)).toBe("1");
+    expect(getGrid().contains(document.activeElement)).toBe(true);
+  });
+
+  it("opens the record with Enter", () => {
+    const { getGrid, dataset } = renderControl();
+    focusGrid(getGrid);
+    pressKey(document.activeElement as Element, "ArrowDown");
+    pressKey(document.activeElement as Element, "ArrowRight");
+
+    const event = pressKey(document.activeElement as Element, "Enter");
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(dataset.openDatasetItem).toHaveBeenCalledWith(expect.objectContaining({ id: { guid: "id-1" } }));
+  });
+
+  it("toggles the selection with Space and keeps the focus", () => {
+    const { getGrid, dataset } = renderControl();
+    focusGrid(getGrid);
+    pressKey(document.activeElement as Element, "ArrowDown");
+    pressKey(document.activeElement as Element, "ArrowDown");
+    pressKey(document.activeElement as Element, "ArrowRight");
+
+    const event = pressKey(document.activeElement as Element, " ");
+    expect(event.defaultPrevented).toBe(true);
+    expect(getGrid().rows[2].getAttribute("aria-selected")).toBe("true");
+    expect(getFocusedPosition()).toEqual([2, 1]);
+
+    pressKey(document.activeElement as Element, " ");
+    expect(getGrid().rows[2].getAttribute("aria-selected")).toBe("false");
+    expect(dataset.openDatasetItem).not.toHaveBeenCalled();
+  });
+
+  it("sorts by a column header with Enter and Space", () => {
+    const { getGrid } = renderControl();
+    focusGrid(getGrid);
+    pressKey(document.activeElement as Element, "ArrowRight");
+
+    pressKey(document.activeElement as Element, "Enter");
+    expect(getGrid().rows[0].cells[1].getAttribute("aria-sort")).toBe("ascending");
+    expect(getFocusedPosition()).toEqual([0, 1]);
+
+    pressKey(document.activeElement as Element, " ");
+    expect(getGrid().rows[0].cells[1].getAttribute("aria-sort")).toBe("descending");
+  });
+
+  it("expands and collapses a group with Enter", () => {
+    const { getGrid, container } = renderControl();
+    const groupBySelect = container.querySelector("select[title='Group_By_Title']") as HTMLSelectElement;
+    groupBySelect.value = "address1_city";
+    groupBySelect.dispatchEvent(new Event("change"));
+    focusGrid(getGrid);
+    pressKey(document.activeElement as Element, "ArrowDown");
+
+    const groupRow = () => getGrid().rows[1];
+    expect(groupRow().classList.contains("group-row")).toBe(true);
+    expect(groupRow().getAttribute("aria-expanded")).toBe("true");
+
+    pressKey(document.activeElement as Element, "Enter");
+    expect(groupRow().getAttribute("aria-expanded")).toBe("false");
+    expect(getFocusedPosition()).toEqual([1, 0]);
+
+    pressKey(document.activeElement as Element, " ");
+    expect(groupRow().getAttribute("aria-expanded")).toBe("true");
+  });
+});
+
+describe("alert dialog", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  // Exporting the selected records with nothing selected shows the Nothing_To_Export alert
+  function openAlert() {
+    const rendered = renderControl({}, {}, { Nothing_To_Export_Message: "<b>Message</b>" });
+    const scopeSelect = rendered.container.querySelector("select[title='Export_Scope_Title']") as HTMLSelectElement;
+    scopeSelect.value = "selected";
+
+    const trigger = Array.from(rendered.container.querySelectorAll("button")).find(
+      (button) => button.textContent === "Export_Csv"
+    ) as HTMLButtonElement;
+    trigger.focus();
+    trigger.click();
+    jest.advanceTimersByTime(10);
+
+    const dialog = document.querySelector("[role='alertdialog']") as HTMLElement;
+    return { ...rendered, trigger, dialog };
+  }
+
+  it("is a labelled modal dialog that takes the focus", () => {
+    const { dialog } = openAlert();
+
+    expect(dialog.getAttribute("aria-modal")).toBe("true");
+    expect(document.getElementById(dialog.getAttribute("aria-labelledby") as string)?.textContent).toBe(
+      "Nothing_To_Export_Title"
+    );
+    expect(document.getElementById(dialog.getAttribute("aria-describedby") as string)?.innerHTML).toBe(
+      "&lt;b&gt;Message&lt;/b&gt;"
+    );
+    expect(document.activeElement?.textContent).toBe("Dialog_OK");
+  });
+
+  it("closes with Escape and returns the focus", () => {
+    const { dialog, trigger } = openAlert();
+
+    const event = pressKey(document.activeElement as Element, "Escape");
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(dialog.isConnected).toBe(false);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it("keeps Tab and Shift+Tab inside the dialog", () => {
+    const { dialog } = openAlert();
+    const okButton = document.activeElement;
+
+    expect(pressKey(okButton as Element, "Tab").defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(okButton);
+    expect(pressKey(okButton as Element, "Tab", { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(okButton);
+    expect(dialog.isConnected).toBe(true);
+  });
+
+  it("closes with the OK button", () => {
+    const { dialog, trigger } = openAlert();
+
+    (document.activeElement as HTMLButtonElement).click();
+
+    expect(dialog.isConnected).toBe(false);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it("replaces an alert that is already open", () => {
+    const { trigger } = openAlert();
+
+    trigger.click();
+
+    expect(document.querySelectorAll("[role='alertdialog']")).toHaveLength(1);
+  });
+});
+
+describe("server data mode", () => {
+  function clickPage(container: HTMLElement, page: number): void {
+    const pageButtons = Array.from(container.querySelectorAll(".pagination .page-list button"));
+    (pageButtons.find((button) => button.textContent === String(page)) as HTMLButtonElement).click();
+  }
+
+  function search(container: HTMLElement, text: string): void {
+    const input = container.querySelector(".search-input") as HTMLInputElement;
+    input.value = text;
+    input.dispatchEvent(new Event("input"));
+    jest.runOnlyPendingTimers();
+  }
+
+  it("lets the host page the records when it implements sorting, filtering and paging", () => {
+    const host = createServerHost({ pageSize: 13, totalResultCount: 30 });
+    const { container, getGrid } = renderControl({ dataMode: "server" }, host);
+
+    // The host already returned a single page, so every loaded record is shown
+    expect(getGrid().rows).toHaveLength(31);
+    expect(getLastPage(container)).toBe("3");
+
+    clickPage(container, 2);
+    expect(host.paging.loadExactPage).toHaveBeenCalledWith(2);
+    expect((container.querySelector("option[value='filtered']") as HTMLOptionElement).disabled).toBe(true);
+  });
+
+  it("asks the host for pages of 13 records once", () => {
+    const host = createServerHost({ pageSize: 25, totalResultCount: 30 });
+    const { control, context } = renderControl({ dataMode: "server" }, host);
+    control.updateView(context);
+
+    expect(host.paging.setPageSize).toHaveBeenCalledTimes(1);
+    expect(host.paging.setPageSize).toHaveBeenCalledWith(13);
+    expect(host.refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps the host page size when it already pages by 13", () => {
+    const host = createServerHost({ pageSize: 13, totalResultCount: 30 });
+    renderControl({ dataMode: "server" }, host);
+
+    expect(host.paging.setPageSize).not.toHaveBeenCalled();
+    expect(host.refresh).not.toHaveBeenCalled();
+  });
+
+  it("ignores the host paging in client mode", () => {
+    const host = createServerHost({ pageSize: 25, totalResultCount: 30 });
+    const { container, getGrid } = renderControl({}, host);
+
+    expect(host.paging.setPageSize).not.toHaveBeenCalled();
+    expect(getGrid().rows).toHaveLength(14);
+    clickPage(container, 2);
+    expect(host.paging.loadExactPage).not.toHaveBeenCalled();
+    expect(getCurrentPage(container)).toBe("2");
+  });
+
+  it("sorts and pages in memory when the host cannot sort", () => {
+    const host = createServerHost({ pageSize: 13, totalResultCount: 30 });
+    const { container, getGrid } = renderControl({ dataMode: "server" }, { ...host, sorting: undefined });
+    const nameHeader = () => getGrid().rows[0].cells[1] as HTMLElement;
+
+    nameHeader().click();
+    nameHeader().click();
+
+    expect(host.refresh).not.toHaveBeenCalled();
+    expect(getGrid().rows).toHaveLength(14);
+    expect(getGrid().rows[1].cells[1].textContent).toBe("Contact 30");
+
+    clickPage(container, 2);
+    expect(host.paging.loadExactPage).not.toHaveBeenCalled();
+    expect(getCurrentPage(container)).toBe("2");
+  });
+
+  describe("search", () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it("sends the search to the host as a filter", () => {
+      const host = createServerHost({ pageSize: 13, totalResultCount: 30 });
+      const { container } = renderControl({ dataMode: "server" }, host);
+
+      search(container, "london");
+
+      expect(host.filtering.setFilter).toHaveBeenCalledWith(
+        expect.objectContaining({ filters: [expect.objectContaining({ filterOperator: 1 })] })
+      );
+      expect(host.refresh).toHaveBeenCalledTimes(1);
+    });
+
+    it("keeps server paging and filters the page by the terms the host cannot filter by", () => {
+      const host = createServerHost({ pageSize: 13, totalResultCount: 5000 });
+      const { container, getGrid, control, context } = renderControl({ dataMode: "server" }, host);
+
+      search(container, "contact -london");
+      control.updateView(context);
+
+      expect(host.filtering.setFilter).toHaveBeenCalledTimes(1);
+      expect(host.filtering.setFilter.mock.calls[0][0].filters[0].conditions).toEqual([
+        { attributeName: "fullname", conditionOperator: 6, value: "%contact%" },
+        { attributeName: "address1_city", conditionOperator: 6, value: "%contact%" },
+      ]);
+      expect(getLastPage(container)).toBe("385");
+      expect(getGrid().rows).toHaveLength(21);
+      expect(Array.from(getGrid().rows).some((row) => row.cells[2].textContent === "London")).toBe(false);
+      expect(container.querySelector(".search-notice[role='status']")?.textContent).toBe("Search_Page_Only_Notice");
+    });
+
+    it("shows no notice when the host filters by every term", () => {
+      const host = createServerHost({ pageSize: 13, totalResultCount: 5000 });
+      const { container, control, context } = renderControl({ dataMode: "server" }, host);
+
+      search(container, "london");
+      control.updateView(context);
+
+      expect(container.querySelector(".search-notice")).toBeNull();
+    });
+
+    it("searches and pages in memory when the host cannot filter", () => {
+      const host = createServerHost({ pageSize: 13, totalResultCount: 30 });
+      const { container, getGrid, control, context } = renderControl(
+        { dataMode: "server" },
+        { ...host, filtering: undefined }
+      );
+
+      search(container, "city:london");
+      control.updateView(context);
+
+      expect(host.refresh).not.toHaveBeenCalled();
+      expect(getGrid().rows).toHaveLength(11);
+      expect(getGrid().rows[1].cells[2].textContent).toBe("London");
+      expect(getLastPage(container)).toBe("1");
+    });
+  });
+
+  it("counts pages with the page size the host kept", () => {
+    const host = createServerHost({ pageSize: 25, totalResultCount: 100 });
+    const { container } = renderControl({ dataMode: "server" }, host);
+
+    expect(host.paging.setPageSize).toHaveBeenCalledWith(13);
+    expect(getLastPage(container)).toBe("4");
+  });
+});
@@ -0,0 +1,107 @@
+import { getFocusableElements, getNextCellPosition, trapFocus } from "../helpers/keyboard";
+
+// A header row and two record rows of four cells around a group row that spans the table
+const columnCounts = [4, 1, 4, 4];
+
+describe("getNextCellPosition", () => {
+  const position = { row: 2, column: 2 };
+
+  it("moves one cell with the arrow keys", () => {
+    expect(getNextCellPosition("ArrowUp", false, position, columnCounts)).toEqual({ row: 1, column: 2 });
+    expect(getNextCellPosition("ArrowDown", false, position, columnCounts)).toEqual({ row: 3, column: 2 });
+    expect(getNextCellPosition("ArrowLeft", false, position, columnCounts)).toEqual({ row: 2, column: 1 });
+    expect(getNextCellPosition("ArrowRight", false, position, columnCounts)).toEqual({ row: 2, column: 3 });
+  });
+
+  it("stops at the edges of the grid", () => {
+    expect(getNextCellPosition("ArrowUp", false, { row: 0, column: 1 }, columnCounts)).toEqual({ row: 0, column: 1 });
+    expect(getNextCellPosition("ArrowDown", false, { row: 3, column: 1 }, columnCounts)).toEqual({ row: 3, column: 1 });
+    expect(getNextCellPosition("ArrowLeft", false, { row: 2, column: 0 }, columnCounts)).toEqual({ row: 2, column: 0 });
+    expect(getNextCellPosition("ArrowRight", false, { row: 2, column: 3 }, columnCounts)).toEqual({
+      row: 2,
+      column: 3,
+    });
+  });
+
+  it("keeps the column when moving through a group row", () => {
+    expect(getNextCellPosition("ArrowUp", false, position, columnCounts)).toEqual({ row: 1, column: 2 });
+    expect(getNextCellPosition("ArrowUp", false, { row: 1, column: 2 }, columnCounts)).toEqual({ row: 0, column: 2 });
+  });
+
+  it("moves from the single cell of a group row", () => {
+    expect(getNextCellPosition("ArrowRight", false, { row: 1, column: 2 }, columnCounts)).toEqual({
+      row: 1,
+      column: 0,
+    });
+  });
+
+  it("moves to the start and end of the row with Home and End", () => {
+    expect(getNextCellPosition("Home", false, position, columnCounts)).toEqual({ row: 2, column: 0 });
+    expect(getNextCellPosition("End", false, position, columnCounts)).toEqual({ row: 2, column: 3 });
+  });
+
+  it("moves to the first and last cell of the grid with Ctrl+Home and Ctrl+End", () => {
+    expect(getNextCellPosition("Home", true, position, columnCounts)).toEqual({ row: 0, column: 0 });
+    expect(getNextCellPosition("End", true, position, columnCounts)).toEqual({ row: 3, column: 3 });
+  });
+
+  it("turns the page with PageUp and PageDown", () => {
+    expect(getNextCellPosition("PageUp", false, position, columnCounts)).toBe("previousPage");
+    expect(getNextCellPosition("PageDown", false, position, columnCounts)).toBe("nextPage");
+  });
+
+  it("ignores other keys", () => {
+    expect(getNextCellPosition("a", false, position, columnCounts)).toBeNull();
+    expect(getNextCellPosition("Tab", false, position, columnCounts)).toBeNull();
+  });
+});
+
+describe("trapFocus", () => {
+  let dialog: HTMLDivElement;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="outside">Outside</button>
+      <div id="dialog">
+        <input id="first" />
+        <button id="disabled" disabled>Disabled</button>
+        <span id="skipped" tabindex="-1">Skipped</span>
+        <button id="last">OK</button>
+      </div>`;
+    dialog = document.getElementById("dialog") as HTMLDivElement;
+  });
+
+  function pressTab(shiftKey = false): KeyboardEvent {
+    const event = new KeyboardEvent("keydown", { key: "Tab", shiftKey, cancelable: true });
+    trapFocus(dialog, event);
+    return event;
+  }
+
+  it("only counts enabled elements in the tab order", () => {
+    expect(getFocusableElements(dialog).map((element) => element.id)).toEqual(["first", "last"]);
+  });
+
+  it("wraps Tab from the last element to the first", () => {
+    document.getElementById("last")?.focus();
+
+    expect(pressTab().defaultPrevented).toBe(true);
+    expect(document.activeElement?.id).toBe("first");
+  });
+
+  it("wraps Shift+Tab from the first element to the last", () => {
+    document.getElementById("first")?.focus();
+
+    expect(pressTab(true).defaultPrevented).toBe(true);
+    expect(document.activeElement?.id).toBe("last");
+  });
+
+  it("leaves Tab between inner elements to the browser", () => {
+    document.getElementById("first")?.focus();
+    expect(pressTab().defaultPrevented).toBe(false);
+  });
+
+  it("keeps focus in a dialog without focusable elements", () => {
+    dialog.innerHTML = "<p>Nothing to focus</p>";
+    expect(pressTab().defaultPrevented).toBe(true);
+  });
+});
@@ -0,0 +1,28 @@
+import { IInputs } from "../../generated/ManifestTypes";
+
+type DataSet = ComponentFramework.PropertyTypes.DataSet;
+
+// Control properties as the host passes them; only raw is read by the control
+export type PropertyValues = Partial<{ [key in Exclude<keyof IInputs, "sampleDataSet">]: string }>;
+
+// Resources only return the given strings, so the control shows the other resx keys and tests can match on them
+export function createContext(
+  dataset: DataSet,
+  properties: PropertyValues = {},
+  strings: { [key: string]: string } = {}
+): ComponentFramework.Context<IInputs> {
+  const parameters: { [key: string]: unknown } = { sampleDataSet: dataset };
+  Object.keys(properties).forEach((key) => {
+    parameters[key] = { raw: properties[key as keyof PropertyValues] };
+  });
+
+  return {
+    parameters,
+    resources: { getString: (key: string) => strings[key] ?? "" },
+    mode: { allocatedWidth: -1, trackContainerResize: jest.fn(), setControlState: jest.fn() },
+    userSettings: { userId: "user-1" },
+    navigation: { openForm: jest.fn(() => Promise.resolve()) },
+    utils: { getEntityMetadata: jest.fn(() => Promise.resolve({})) },
+    webAPI: { updateRecord: jest.fn(() => Promise.resolve({})) },
+  } as unknown as ComponentFramework.Context<IInputs>;
+}
@@ -0,0 +1,93 @@
+type Column = ComponentFramework.PropertyHelper.DataSetApi.Column;
+type EntityRecord = ComponentFramework.PropertyHelper.DataSetApi.EntityRecord;
+type DataSet = ComponentFramework.PropertyTypes.DataSet;
+
+export type RecordValues = { [columnName: string]: unknown };
+
+export function createColumn(name: string, dataType = "SingleLine.Text", overrides: Partial<Column> = {}): Column {
+  return {
+    name,
+    displayName: name,
+    dataType,
+    alias: name,
+    order: 0,
+    visualSizeFactor: 100,
+    ...overrides,
+  };
+}
+
+// Formatted values default to the raw value as text; pass formattedValues for dates, lookups and option sets
+export function createRecord(
+  id: string,
+  values: RecordValues,
+  formattedValues: { [columnName: string]: string } = {}
+): EntityRecord {
+  return {
+    getRecordId: () => id,
+    getValue: (columnName: string) => values[columnName] as never,
+    getFormattedValue: (columnName: string) => {
+      if (columnName in formattedValues) return formattedValues[columnName];
+      const value = values[columnName];
+      return value === null || value === undefined ? "" : String(value);
+    },
+    getNamedReference: () => ({ id: { guid: id }, name: String(values.fullname ?? ""), etn: "contact" }),
+  } as unknown as EntityRecord;
+}
+
+export interface DataSetOptions {
+  columns: Column[];
+  records: { id: string; values: RecordValues; formattedValues?: { [columnName: string]: string } }[];
+  // Fields of the DataSet API to add or override, e.g. sorting, filtering and paging of a server host
+  overrides?: Partial<{ [key in keyof DataSet]: unknown }>;
+}
+
+// A client-side host: records are all loaded and sorting, filtering and paging are not implemented
+export function createDataSet({ columns, records, overrides = {} }: DataSetOptions): DataSet {
+  const recordMap: { [id: string]: EntityRecord } = {};
+  records.forEach((record) => {
+    recordMap[record.id] = createRecord(record.id, record.values, record.formattedValues);
+  });
+
+  return {
+    columns,
+    records: recordMap,
+    sortedRecordIds: records.map((record) => record.id),
+    loading: false,
+    error: false,
+    errorMessage: "",
+    paging: {},
+    getSelectedRecordIds: jest.fn(() => []),
+    setSelectedRecordIds: jest.fn(),
+    clearSelectedRecordIds: jest.fn(),
+    getTargetEntityType: () => "contact",
+    getTitle: () => "Contacts",
+    getViewId: () => "view-1",
+    openDatasetItem: jest.fn(),
+    ...overrides,
+  } as unknown as DataSet;
+}
+
+// Stubs the parts of a server host: in-place sorting array, filter calls, paging calls and refresh
+export function createServerHost(paging: Partial<ComponentFramework.PropertyHelper.DataSetApi.Paging> = {}) {
+  return {
+    sorting: [] as ComponentFramework.PropertyHelper.DataSetApi.SortStatus[],
+    filtering: {
+      setFilter: jest.fn(),
+      clearFilter: jest.fn(),
+      getFilter: jest.fn(),
+    },
+    paging: {
+      totalResultCount: -1,
+      hasNextPage: false,
+      hasPreviousPage: false,
+      pageSize: 25,
+      setPageSize: jest.fn(),
+      loadExactPage: jest.fn(),
+      loadNextPage: jest.fn(),
+      loadPreviousPage: jest.fn(),
+      reset: jest.fn(),
+      ...paging,
+    },
+    refresh: jest.fn(),
+  };
+}
@@ -0,0 +1,30 @@
+import { getPageWindow } from "../helpers/pagination";
+
+describe("getPageWindow", () => {
+  it("lists every page when there are seven or fewer", () => {
+    expect(getPageWindow(1, 1)).toEqual([1]);
+    expect(getPageWindow(4, 7)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it("lists no pages when there are none", () => {
+    expect(getPageWindow(1, 0)).toEqual([]);
+  });
+
+  it("keeps the first and last page around a window of five pages", () => {
+    expect(getPageWindow(10, 20)).toEqual([1, "gap", 8, 9, 10, 11, 12, "gap", 20]);
+  });
+
+  it("shifts the window near the start and the end instead of shrinking it", () => {
+    expect(getPageWindow(1, 20)).toEqual([1, 2, 3, 4, 5, 6, "gap", 20]);
+    expect(getPageWindow(20, 20)).toEqual([1, "gap", 15, 16, 17, 18, 19, 20]);
+  });
+
+  it("shows the page a gap would stand for alone", () => {
+    expect(getPageWindow(5, 20)).toEqual([1, 2, 3, 4, 5, 6, 7, "gap", 20]);
+    expect(getPageWindow(16, 20)).toEqual([1, "gap", 14, 15, 16, 17, 18, 19, 20]);
+  });
+
+  it("has a gap on each side in long page lists", () => {
+    expect(getPageWindow(193, 385)).toEqual([1, "gap", 191, 192, 193, 194, 195, "gap", 385]);
+  });
+});
@@ -0,0 +1,251 @@
+import {
+  fuzzyMatches,
+  getHighlightTerms,
+  highlightMatches,
+  matchesQuery,
+  normalizeText,
+  parseSearchQuery,
+} from "../helpers/search";
+import { createColumn, createRecord } from "./mocks/dataset";
+
+const columns = [
+  createColumn("fullname", "SingleLine.Text", { displayName: "Full Name" }),
+  createColumn("address1_city", "SingleLine.Text", { displayName: "City" }),
+  createColumn("revenue", "Currency"),
+  createColumn("createdon", "DateAndTime.DateOnly"),
+];
+
+const jose = createRecord("1", {
+  fullname: "José Álvarez",
+  address1_city: "São Paulo",
+  revenue: 2500,
+  createdon: "2024-03-01",
+});
+const anna = createRecord("2", {
+  fullname: "Anna Smith",
+  address1_city: "New York",
+  revenue: 800,
+  createdon: "2023-11-15",
+});
+
+function matches(text: string, record = jose, fuzzy = true): boolean {
+  return matchesQuery(record, columns, parseSearchQuery(text), fuzzy);
+}
+
+describe("parseSearchQuery", () => {
+  it("splits plain terms into one group", () => {
+    const query = parseSearchQuery("  anna   smith ");
+
+    expect(query.groups).toHaveLength(1);
+    expect(query.groups[0].map((clause) => clause.value)).toEqual(["anna", "smith"]);
+  });
+
+  it("reads field:value clauses", () => {
+    const [clause] = parseSearchQuery("City:London").groups[0];
+    expect(clause).toMatchObject({ field: "City", value: "London", operator: "contains", phrase: false });
+  });
+
+  it("keeps quoted phrases together", () => {
+    const [clause] = parseSearchQuery('city:"New York"').groups[0];
+    expect(clause).toMatchObject({ field: "city", value: "New York", normalizedValue: "new york", phrase: true });
+  });
+
+  it("reads an unterminated quote to the end of the text", () => {
+    const query = parseSearchQuery('anna "new york');
+
+    expect(query.groups[0].map((clause) => [clause.value, clause.phrase])).toEqual([
+      ["anna", false],
+      ["new york", true],
+    ]);
+  });
+
+  it("skips empty phrases", () => {
+    expect(parseSearchQuery('"" "').groups).toEqual([]);
+  });
+
+  it("reads exclusions", () => {
+    const clauses = parseSearchQuery('-inactive -city:"new york"').groups[0];
+
+    expect(clauses[0]).toMatchObject({ value: "inactive", negated: true });
+    expect(clauses[1]).toMatchObject({ field: "city", value: "new york", negated: true, phrase: true });
+  });
+
+  it("searches for a lone dash instead of excluding nothing", () => {
+    expect(parseSearchQuery("-").groups[0]).toEqual([
+      expect.objectContaining({ value: "-", negated: false, operator: "contains" }),
+    ]);
+    expect(parseSearchQuery("smith - jones").groups[0].map((clause) => [clause.value, clause.negated])).toEqual([
+      ["smith", false],
+      ["-", false],
+      ["jones", false],
+    ]);
+  });
+
+  it("reads comparisons", () => {
+    const clauses = parseSearchQuery("revenue:>1000 revenue:<=5000 createdon:>=2024-01-01 revenue:<9").groups[0];
+
+    expect(clauses.map((clause) => [clause.field, clause.operator, clause.value])).toEqual([
+      ["revenue", ">", "1000"],
+      ["revenue", "<=", "5000"],
+      ["createdon", ">=", "2024-01-01"],
+      ["revenue", "<", "9"],
+    ]);
+  });
+
+  it("does not treat a quoted comparison as one", () => {
+    const [clause] = parseSearchQuery('">5"').groups[0];
+    expect(clause).toMatchObject({ value: ">5", operator: "contains" });
+  });
+
+  it("starts a new group at OR", () => {
+    const query = parseSearchQuery("anna OR josé paulo");
+    expect(query.groups.map((group) => group.map((clause) => clause.value))).toEqual([["anna"], ["josé", "paulo"]]);
+  });
+
+  it("only treats an uppercase, unquoted OR as the operator", () => {
+    expect(parseSearchQuery('anna or "OR"').groups[0].map((clause) => clause.value)).toEqual(["anna", "or", "OR"]);
+  });
+
+  it("drops empty groups around a dangling OR", () => {
+    expect(parseSearchQuery("OR anna OR").groups.map((group) => group.length)).toEqual([1]);
+  });
+});
+
+describe("matchesQuery", () => {
+  it("ignores case and accents", () => {
+    expect(matches("jose alvarez")).toBe(true);
+    expect(matches("SAO PAULO")).toBe(true);
+    expect(matches("álvarez", createRecord("3", { fullname: "Alvarez" }))).toBe(true);
+  });
+
+  it("restricts field clauses to the named column", () => {
+    expect(matches("city:paulo")).toBe(true);
+    expect(matches("city:jose")).toBe(false);
+    expect(matches("fullname:jose")).toBe(true);
+  });
+
+  it("searches unknown fields as plain text", () => {
+    const record = createRecord("3", { fullname: "Meeting at 10:30" });
+    expect(matches("10:30", record)).toBe(true);
+  });
+
+  it("excludes records matching a negated clause", () => {
+    expect(matches("-jose")).toBe(false);
+    expect(matches("-jose", anna)).toBe(true);
+  });
+
+  it("compares number and date columns", () => {
+    expect(matches("revenue:>1000")).toBe(true);
+    expect(matches("revenue:>1000", anna)).toBe(false);
+    expect(matches("createdon:<2024-01-01", anna)).toBe(true);
+    expect(matches("revenue:>abc")).toBe(false);
+  });
+
+  it("matches when any OR group matches", () => {
+    expect(matches("zebra OR paulo")).toBe(true);
+    expect(matches("zebra OR nowhere")).toBe(false);
+  });
+
+  it("matches everything for an empty query", () => {
+    expect(matches("   ")).toBe(true);
+  });
+
+  it("tolerates typos unless fuzzy matching is off", () => {
+    expect(matches("alvraez")).toBe(true);
+    expect(matches("alvraez", jose, false)).toBe(false);
+  });
+
+  it("never applies typo tolerance to exclusions or phrases", () => {
+    expect(matches("-alvraez")).toBe(true);
+    expect(matches('"alvraez"')).toBe(false);
+  });
+});
+
+describe("fuzzyMatches", () => {
+  it("counts a swapped pair of letters as one typo", () => {
+    expect(fuzzyMatches("anna smith", "simth")).toBe(true);
+  });
+
+  it("allows one typo below eight characters and two from eight", () => {
+    expect(fuzzyMatches("johnson", "jonhsan")).toBe(false);
+    expect(fuzzyMatches("williamson", "wiliamsen")).toBe(true);
+    expect(fuzzyMatches("williamson", "wylyamsen")).toBe(false);
+  });
+
+  it("matches the start of a longer word", () => {
+    expect(fuzzyMatches("christopher", "chrsi")).toBe(true);
+  });
+
+  it("leaves terms shorter than four characters exact", () => {
+    expect(fuzzyMatches("ann", "anx")).toBe(false);
+    expect(fuzzyMatches("anna", "anxa")).toBe(true);
+  });
+
+  it("compares the folded text", () => {
+    expect(fuzzyMatches(normalizeText("Ångström"), normalizeText("Angstrom"))).toBe(true);
+    expect(fuzzyMatches(normalizeText("Ångström"), normalizeText("Angsrtöm"))).toBe(true);
+  });
+
+  it("skips phrases", () => {
+    expect(fuzzyMatches("new york", "new yrok")).toBe(false);
+  });
+});
+
+describe("getHighlightTerms", () => {
+  function terms(text: string): string[] {
+    return getHighlightTerms(parseSearchQuery(text), columns);
+  }
+
+  it("highlights the folded value of each term once", () => {
+    expect(terms("José city:paulo jose")).toEqual(["jose", "paulo"]);
+  });
+
+  it("highlights the whole text of clauses on unknown fields, as they are matched", () => {
+    expect(terms("10:30 http://contoso.com")).toEqual(["10:30", "http://contoso.com"]);
+  });
+
+  it("skips exclusions and comparisons", () => {
+    expect(terms("anna -smith revenue:>1000")).toEqual(["anna"]);
+  });
+});
+
+describe("highlightMatches", () => {
+  it("wraps matches in highlight spans", () => {
+    expect(highlightMatches("Anna Smith", ["smith"])).toBe('Anna <span class="highlight">Smith</span>');
+  });
+
+  it("matches regular expression characters literally", () => {
+    expect(highlightMatches("C++ (beta) a.b", ["c++", "(beta)"])).toBe(
+      '<span class="highlight">C++</span> <span class="highlight">(beta)</span> a.b'
+    );
+    expect(highlightMatches("axb", ["a.b"])).toBe("axb");
+    expect(highlightMatches("a|b", ["|"])).toBe('a<span class="highlight">|</span>b');
+  });
+
+  it("encodes HTML in and around the matches", () => {
+    expect(highlightMatches('<img src=x onerror="alert(1)"> & \'x\'', ["img"])).toBe(
+      '&lt;<span class="highlight">img</span> src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;x&#39;'
+    );
+    expect(highlightMatches("<b>", ["<b"])).toBe('<span class="highlight">&lt;b</span>&gt;');
+  });
+
+  it("highlights accented text for unaccented terms", () => {
+    expect(highlightMatches("José", ["jose"])).toBe('<span class="highlight">José</span>');
+  });
+
+  it("keeps decomposed characters whole", () => {
+    const decomposed = "Jose\u0301 Smith";
+    expect(highlightMatches(decomposed, ["jose"])).toBe('<span class="highlight">Jose\u0301</span> Smith');
+  });
+
+  it("highlights a URL searched as plain text whole", () => {
+    const value = "See http://contoso.com today";
+    expect(highlightMatches(value, getHighlightTerms(parseSearchQuery("http://contoso.com"), columns))).toBe(
+      'See <span class="highlight">http://contoso.com</span> today'
+    );
+  });
+
+  it("only encodes the value without terms", () => {
+    expect(highlightMatches("<Anna>", [])).toBe("&lt;Anna&gt;");
+  });
+});
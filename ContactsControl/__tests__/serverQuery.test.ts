@@ -0,0 +1,329 @@
+import {
+  NO_SERVER_CAPABILITIES,
+  applyServerSearch,
+  applyServerSort,
+  buildSearchFilter,
+  getServerCapabilities,
+  getServerTotalPages,
+  loadServerPage,
+  splitServerSearch,
+} from "../helpers/serverQuery";
+import { parseSearchQuery } from "../helpers/search";
+import { createColumn, createDataSet, createServerHost } from "./mocks/dataset";
+
+type Paging = ComponentFramework.PropertyHelper.DataSetApi.Paging;
+
+const columns = [createColumn("fullname"), createColumn("revenue", "Currency")];
+
+function createServerDataSet(paging: Partial<Paging> = {}) {
+  const host = createServerHost(paging);
+  const dataset = createDataSet({ columns, records: [], overrides: host });
+  return { host, dataset };
+}
+
+describe("getServerCapabilities", () => {
+  it("reports every capability for a full host", () => {
+    const { dataset } = createServerDataSet();
+    expect(getServerCapabilities(dataset)).toEqual({ sorting: true, filtering: true, paging: true });
+  });
+
+  it("reports nothing for a host without refresh, sorting, filtering or paging", () => {
+    const dataset = createDataSet({ columns, records: [] });
+    expect(getServerCapabilities(dataset)).toEqual(NO_SERVER_CAPABILITIES);
+  });
+
+  it("needs refresh for sorting and filtering", () => {
+    const { host } = createServerDataSet();
+    const dataset = createDataSet({ columns, records: [], overrides: { ...host, refresh: undefined } });
+
+    expect(getServerCapabilities(dataset)).toEqual({ sorting: false, filtering: false, paging: true });
+  });
+
+  it("needs both setFilter and clearFilter for filtering", () => {
+    const { host } = createServerDataSet();
+    const filtering = { setFilter: jest.fn() };
+    const dataset = createDataSet({ columns, records: [], overrides: { ...host, filtering } });
+
+    expect(getServerCapabilities(dataset).filtering).toBe(false);
+  });
+
+  it("accepts paging hosts that can only step one page at a time", () => {
+    const { host } = createServerDataSet();
+    const paging = { ...host.paging, loadExactPage: undefined };
+    const dataset = createDataSet({ columns, records: [], overrides: { ...host, paging } });
+
+    expect(getServerCapabilities(dataset).paging).toBe(true);
+  });
+
+  it("needs setPageSize and a way to load pages for paging", () => {
+    const { host } = createServerDataSet();
+    const paging = { ...host.paging, loadExactPage: undefined, loadNextPage: undefined };
+    const dataset = createDataSet({ columns, records: [], overrides: { ...host, paging } });
+
+    expect(getServerCapabilities(dataset).paging).toBe(false);
+  });
+});
+
+describe("applyServerSort", () => {
+  it("replaces the sort columns in the existing sorting array and refreshes", () => {
+    const { host, dataset } = createServerDataSet();
+    const sorting = host.sorting;
+    sorting.push({ name: "stale", sortDirection: 0 });
+
+    applyServerSort(dataset, [
+      { name: "fullname", isAscending: true },
+      { name: "revenue", isAscending: false },
+    ]);
+
+    expect(dataset.sorting).toBe(sorting);
+    expect(sorting).toEqual([
+      { name: "fullname", sortDirection: 0 },
+      { name: "revenue", sortDirection: 1 },
+    ]);
+    expect(host.refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it("clears the sorting when there are no sort columns", () => {
+    const { host, dataset } = createServerDataSet();
+    host.sorting.push({ name: "fullname", sortDirection: 0 });
+
+    applyServerSort(dataset, []);
+
+    expect(host.sorting).toHaveLength(0);
+    expect(host.refresh).toHaveBeenCalled();
+  });
+});
+
+describe("buildSearchFilter", () => {
+  const searchColumns = [
+    createColumn("fullname", "SingleLine.Text", { displayName: "Full Name" }),
+    createColumn("emailaddress1", "SingleLine.Email", { displayName: "Email" }),
+    createColumn("revenue", "Currency"),
+    createColumn("createdon", "DateAndTime.DateOnly"),
+    createColumn("parentcustomerid", "Lookup.Simple"),
+    createColumn("account.name", "SingleLine.Text"),
+  ];
+
+  function build(text: string) {
+    return buildSearchFilter(searchColumns, parseSearchQuery(text));
+  }
+
+  it("searches every text column of the entity with Like", () => {
+    expect(build("smith")).toEqual({
+      filterOperator: 0,
+      conditions: [],
+      filters: [
+        {
+          filterOperator: 1,
+          conditions: [
+            { attributeName: "fullname", conditionOperator: 6, value: "%smith%" },
+            { attributeName: "emailaddress1", conditionOperator: 6, value: "%smith%" },
+          ],
+        },
+      ],
+    });
+  });
+
+  it("escapes the Like wildcards", () => {
+    const conditions = build("fullname:50%_off[1]")?.filters?.[0].conditions;
+    expect(conditions).toEqual([{ attributeName: "fullname", conditionOperator: 6, value: "%50[%][_]off[[]1]%" }]);
+  });
+
+  it("combines clauses with AND and OR groups with OR", () => {
+    const filter = build('fullname:"anna smith" email:contoso OR revenue:>=1000');
+
+    expect(filter?.filterOperator).toBe(1);
+    expect(filter?.filters?.map((group) => [group.filterOperator, group.filters?.length])).toEqual([
+      [0, 2],
+      [0, 1],
+    ]);
+    expect(filter?.filters?.[0].filters?.[0].conditions).toEqual([
+      { attributeName: "fullname", conditionOperator: 6, value: "%anna smith%" },
+    ]);
+    expect(filter?.filters?.[1].filters?.[0].conditions).toEqual([
+      { attributeName: "revenue", conditionOperator: 4, value: "1000" },
+    ]);
+  });
+
+  it("maps comparisons to the condition operators", () => {
+    const operators = [">", "<", ">=", "<="].map(
+      (operator) => build(`createdon:${operator}2024-01-01`)?.filters?.[0].conditions[0].conditionOperator
+    );
+    expect(operators).toEqual([2, 3, 4, 5]);
+  });
+
+  it("returns null for an empty query", () => {
+    expect(build("   ")).toBeNull();
+  });
+
+  it("returns null when any clause cannot run on the server", () => {
+    expect(build("smith -jones")).toBeNull();
+    expect(build("smith unknown:value")).toBeNull();
+    expect(build("revenue:>1000 OR >5")).toBeNull();
+    expect(build("fullname:>5")).toBeNull();
+    expect(build("parentcustomerid:contoso")).toBeNull();
+  });
+
+  it("leaves columns of linked entities to the in-memory search", () => {
+    expect(build("account.name:contoso")).toBeNull();
+  });
+});
+
+describe("splitServerSearch", () => {
+  const searchColumns = [createColumn("fullname"), createColumn("revenue", "Currency")];
+
+  function split(text: string) {
+    const { filter, pageQuery } = splitServerSearch(searchColumns, parseSearchQuery(text));
+    const pageClauses = pageQuery.groups.map((group) => group.map((clause) => clause.value));
+    return { filter, pageClauses };
+  }
+
+  it("sends a query the filter can express whole and leaves nothing to the page", () => {
+    const { filter, pageClauses } = split("smith revenue:>1000");
+
+    expect(filter).toEqual(buildSearchFilter(searchColumns, parseSearchQuery("smith revenue:>1000")));
+    expect(pageClauses).toEqual([]);
+  });
+
+  it("filters by the clauses it can express and matches the others on the page", () => {
+    const { filter, pageClauses } = split("smith -jones unknown:value");
+
+    expect(filter).toEqual({
+      filterOperator: 0,
+      conditions: [],
+      filters: [
+        {
+          filterOperator: 1,
+          conditions: [{ attributeName: "fullname", conditionOperator: 6, value: "%smith%" }],
+        },
+      ],
+    });
+    expect(pageClauses).toEqual([["jones", "value"]]);
+  });
+
+  it("matches the whole query on the page when OR groups only partly reach the filter", () => {
+    const { filter, pageClauses } = split("smith -jones OR revenue:>1000");
+
+    expect(filter?.filterOperator).toBe(1);
+    expect(filter?.filters).toHaveLength(2);
+    expect(pageClauses).toEqual([["smith", "jones"], ["1000"]]);
+  });
+
+  it("sends no filter when a group has no clause the filter can express", () => {
+    expect(split("-jones")).toEqual({ filter: null, pageClauses: [["jones"]] });
+    expect(split("smith OR >5")).toEqual({ filter: null, pageClauses: [["smith"], ["5"]] });
+  });
+
+  it("leaves nothing to do for an empty query", () => {
+    expect(split("  ")).toEqual({ filter: null, pageClauses: [] });
+  });
+});
+
+describe("applyServerSearch", () => {
+  it("clears the previous filter before setting the new one", () => {
+    const { host, dataset } = createServerDataSet();
+
+    applyServerSearch(dataset, parseSearchQuery("smith"));
+
+    expect(host.filtering.clearFilter).toHaveBeenCalledTimes(1);
+    expect(host.filtering.setFilter).toHaveBeenCalledWith({
+      filterOperator: 0,
+      conditions: [],
+      filters: [
+        {
+          filterOperator: 1,
+          conditions: [{ attributeName: "fullname", conditionOperator: 6, value: "%smith%" }],
+        },
+      ],
+    });
+    expect(host.filtering.clearFilter.mock.invocationCallOrder[0]).toBeLessThan(
+      host.filtering.setFilter.mock.invocationCallOrder[0]
+    );
+    expect(host.refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it("only clears the filter for an empty search", () => {
+    const { host, dataset } = createServerDataSet();
+
+    applyServerSearch(dataset, parseSearchQuery("  "));
+
+    expect(host.filtering.clearFilter).toHaveBeenCalled();
+    expect(host.filtering.setFilter).not.toHaveBeenCalled();
+    expect(host.refresh).toHaveBeenCalled();
+  });
+
+  it("sends the clauses it can express when others cannot be", () => {
+    const { host, dataset } = createServerDataSet();
+
+    applyServerSearch(dataset, parseSearchQuery("smith -jones"));
+
+    expect(host.filtering.setFilter).toHaveBeenCalledWith(buildSearchFilter(columns, parseSearchQuery("smith")));
+    expect(host.refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves queries without any clause the server can express unfiltered", () => {
+    const { host, dataset } = createServerDataSet();
+
+    applyServerSearch(dataset, parseSearchQuery("-smith"));
+
+    expect(host.filtering.clearFilter).toHaveBeenCalled();
+    expect(host.filtering.setFilter).not.toHaveBeenCalled();
+  });
+});
+
+describe("loadServerPage", () => {
+  it("loads the exact page when the host supports it", () => {
+    const { host } = createServerDataSet();
+
+    expect(loadServerPage(host.paging as unknown as Paging, 1, 4)).toBe(4);
+    expect(host.paging.loadExactPage).toHaveBeenCalledWith(4);
+  });
+
+  it("steps one page forward when only loadNextPage exists", () => {
+    const { host } = createServerDataSet({ loadExactPage: undefined, hasNextPage: true });
+
+    expect(loadServerPage(host.paging as unknown as Paging, 2, 5)).toBe(3);
+    expect(host.paging.loadNextPage).toHaveBeenCalledWith(true);
+  });
+
+  it("steps one page back when only loadPreviousPage exists", () => {
+    const { host } = createServerDataSet({ loadExactPage: undefined, hasPreviousPage: true });
+
+    expect(loadServerPage(host.paging as unknown as Paging, 3, 1)).toBe(2);
+    expect(host.paging.loadPreviousPage).toHaveBeenCalledWith(true);
+  });
+
+  it("stays on the current page when there is no page in that direction", () => {
+    const { host } = createServerDataSet({ loadExactPage: undefined, hasNextPage: false });
+
+    expect(loadServerPage(host.paging as unknown as Paging, 2, 3)).toBe(2);
+    expect(host.paging.loadNextPage).not.toHaveBeenCalled();
+  });
+});
+
+describe("getServerTotalPages", () => {
+  it("uses the total result count when the host has one", () => {
+    const { host } = createServerDataSet({ totalResultCount: 27, pageSize: 13 });
+    expect(getServerTotalPages(host.paging as unknown as Paging, 1, 13)).toBe(3);
+  });
+
+  it("counts pages with the page size the host kept", () => {
+    const { host } = createServerDataSet({ totalResultCount: 100, pageSize: 25 });
+    expect(getServerTotalPages(host.paging as unknown as Paging, 1, 13)).toBe(4);
+  });
+
+  it("falls back to the requested page size when the host reports none", () => {
+    const { host } = createServerDataSet({ totalResultCount: 27, pageSize: 0 });
+    expect(getServerTotalPages(host.paging as unknown as Paging, 1, 13)).toBe(3);
+  });
+
+  it("offers one more page while the total is unknown and there is a next page", () => {
+    const { host } = createServerDataSet({ totalResultCount: -1, hasNextPage: true });
+    expect(getServerTotalPages(host.paging as unknown as Paging, 2, 13)).toBe(3);
+  });
+
+  it("ends at the current page when the total is unknown and there is no next page", () => {
+    const { host } = createServerDataSet({ totalResultCount: -1, hasNextPage: false });
+    expect(getServerTotalPages(host.paging as unknown as Paging, 2, 13)).toBe(2);
+  });
+});
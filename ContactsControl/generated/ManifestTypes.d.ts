@@ -4,7 +4,18 @@
 
 // Define IInputs and IOutputs Type. They should match with ControlManifest.
 export interface IInputs {
+    dataMode: ComponentFramework.PropertyTypes.EnumProperty<"client" | "server">;
+    nullOrder: ComponentFramework.PropertyTypes.EnumProperty<"first" | "last">;
+    selectionMode: ComponentFramework.PropertyTypes.EnumProperty<"single" | "multiple">;
+    vCardMapping: ComponentFramework.PropertyTypes.StringProperty;
+    layout: ComponentFramework.PropertyTypes.EnumProperty<"table" | "cards" | "list" | "auto">;
+    primaryLineColumn: ComponentFramework.PropertyTypes.StringProperty;
+    secondaryLineColumn: ComponentFramework.PropertyTypes.StringProperty;
+    imageColumn: ComponentFramework.PropertyTypes.StringProperty;
     sampleDataSet: ComponentFramework.PropertyTypes.DataSet;
 }
 export interface IOutputs {
+    selectedRecordIds?: string;
+    selectedCount?: number;
+    selectedPrimaryName?: string;
 }
@@ -0,0 +1,125 @@
+type Column = ComponentFramework.PropertyHelper.DataSetApi.Column;
+type EntityRecord = ComponentFramework.PropertyHelper.DataSetApi.EntityRecord;
+
+export type NullOrder = "first" | "last";
+
+export interface SortColumn {
+  name: string;
+  isAscending: boolean;
+}
+
+export type SortValue = string | number | boolean | null;
+
+type ValueKind = "number" | "date" | "boolean" | "text";
+
+// getValue() returns the raw value for these column types rather than the formatted string
+const NUMBER_DATA_TYPES = ["Whole.None", "Decimal", "FP", "Currency", "OptionSet"];
+const DATE_DATA_TYPES = ["DateAndTime.DateOnly", "DateAndTime.DateAndTime"];
+const BOOLEAN_DATA_TYPES = ["TwoOptions"];
+
+export function getValueKind(dataType: string): ValueKind {
+  if (NUMBER_DATA_TYPES.includes(dataType)) return "number";
+  if (DATE_DATA_TYPES.includes(dataType)) return "date";
+  if (BOOLEAN_DATA_TYPES.includes(dataType)) return "boolean";
+  return "text";
+}
+
+function isBlank(value: unknown): boolean {
+  return value === null || value === undefined || value === "";
+}
+
+export function getSortValue(record: EntityRecord, column: Column): SortValue {
+  const rawValue = record.getValue(column.name) as unknown;
+  const kind = getValueKind(column.dataType);
+
+  if (isBlank(rawValue)) {
+    return null;
+  }
+
+  if (kind === "number") {
+    const numericValue = typeof rawValue === "number" ? rawValue : Number(rawValue);
+    return isNaN(numericValue) ? null : numericValue;
+  }
+
+  if (kind === "date") {
+    const time = rawValue instanceof Date ? rawValue.getTime() : new Date(rawValue as string).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  if (kind === "boolean") {
+    return rawValue === true || rawValue === 1 || rawValue === "1" || rawValue === "true";
+  }
+
+  // Lookups compare by the name of the referenced record
+  const lookupValue = Array.isArray(rawValue) ? rawValue[0] : rawValue;
+  if (lookupValue && typeof lookupValue === "object" && "name" in lookupValue) {
+    const name = (lookupValue as ComponentFramework.LookupValue).name;
+    return isBlank(name) ? null : (name as string);
+  }
+
+  const formattedValue = record.getFormattedValue(column.name);
+  return isBlank(formattedValue) ? null : formattedValue;
+}
+
+export function createCollator(): Intl.Collator {
+  return new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+}
+
+// Blank values always follow the configured null order, whatever the sort direction
+export function compareSortValues(
+  a: SortValue,
+  b: SortValue,
+  isAscending: boolean,
+  nullOrder: NullOrder,
+  collator: Intl.Collator
+): number {
+  const aBlank = a === null;
+  const bBlank = b === null;
+
+  if (aBlank || bBlank) {
+    if (aBlank && bBlank) return 0;
+    return aBlank === (nullOrder === "first") ? -1 : 1;
+  }
+
+  let result: number;
+  if (typeof a === "string" || typeof b === "string") {
+    result = collator.compare(String(a), String(b));
+  } else {
+    result = Number(a) - Number(b);
+  }
+
+  return isAscending ? result : -result;
+}
+
+export function sortRecordIds(
+  recordIds: string[],
+  records: { [id: string]: EntityRecord },
+  columns: Column[],
+  sortColumns: SortColumn[],
+  nullOrder: NullOrder
+): string[] {
+  const collator = createCollator();
+  const sortKeys = sortColumns
+    .map((sortColumn) => ({ sortColumn, column: columns.find((column) => column.name === sortColumn.name) }))
+    .filter((key): key is { sortColumn: SortColumn; column: Column } => !!key.column);
+
+  if (sortKeys.length === 0) return [...recordIds];
+
+  // Resolve every sort value once instead of on each comparison
+  const values = new Map<string, SortValue[]>();
+  recordIds.forEach((recordId) => {
+    values.set(recordId, sortKeys.map((key) => getSortValue(records[recordId], key.column)));
+  });
+
+  return [...recordIds].sort((a, b) => {
+    const valuesA = values.get(a) as SortValue[];
+    const valuesB = values.get(b) as SortValue[];
+
+    for (let i = 0; i < sortKeys.length; i++) {
+      const result = compareSortValues(valuesA[i], valuesB[i], sortKeys[i].sortColumn.isAscending, nullOrder, collator);
+      if (result !== 0) return result;
+    }
+
+    return 0;
+  });
+}
@@ -0,0 +1,225 @@
+import { StringFormatter } from "./strings";
+
+type Column = ComponentFramework.PropertyHelper.DataSetApi.Column;
+type EntityRecord = ComponentFramework.PropertyHelper.DataSetApi.EntityRecord;
+
+export type EditorKind = "text" | "email" | "phone" | "number" | "date" | "datetime" | "boolean" | "optionset";
+
+// Values are kept the way the editor produced them and only converted when saving
+export type EditValue = string | boolean;
+
+export interface OptionItem {
+  label: string;
+  value: number;
+}
+
+export interface ColumnMetadata {
+  requiredLevel: number;
+  maxLength?: number;
+  options?: OptionItem[];
+}
+
+export interface PendingChanges {
+  [recordId: string]: { [columnName: string]: EditValue };
+}
+
+export interface SaveResult {
+  recordId: string;
+  error?: string;
+}
+
+const EDITOR_KINDS: { [dataType: string]: EditorKind } = {
+  "SingleLine.Text": "text",
+  "SingleLine.TextArea": "text",
+  Multiple: "text",
+  "SingleLine.Email": "email",
+  "SingleLine.Phone": "phone",
+  "Whole.None": "number",
+  Decimal: "number",
+  FP: "number",
+  Currency: "number",
+  "DateAndTime.DateOnly": "date",
+  "DateAndTime.DateAndTime": "datetime",
+  TwoOptions: "boolean",
+  OptionSet: "optionset",
+};
+
+export const INPUT_TYPES: { [kind in Exclude<EditorKind, "optionset">]: string } = {
+  text: "text",
+  email: "email",
+  phone: "tel",
+  number: "number",
+  date: "date",
+  datetime: "datetime-local",
+  boolean: "checkbox",
+};
+
+// RequiredLevel values for SystemRequired and ApplicationRequired attributes
+const REQUIRED_LEVELS = [1, 2];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+(\s*(x|ext\.?)\s*\d+)?$/i;
+
+export function getEditorKind(column: Column): EditorKind | null {
+  // Columns from linked entities cannot be written through the target entity
+  if (column.name.includes(".")) return null;
+  return EDITOR_KINDS[column.dataType] ?? null;
+}
+
+function padNumber(value: number): string {
+  return value.toString().padStart(2, "0");
+}
+
+function toDateInputValue(date: Date, includeTime: boolean): string {
+  const datePart = `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}-${padNumber(date.getDate())}`;
+  if (!includeTime) return datePart;
+  return `${datePart}T${padNumber(date.getHours())}:${padNumber(date.getMinutes())}`;
+}
+
+export function getEditValue(record: EntityRecord, column: Column, kind: EditorKind): EditValue {
+  const rawValue = record.getValue(column.name) as unknown;
+
+  if (kind === "boolean") {
+    return rawValue === true || rawValue === 1 || rawValue === "1" || rawValue === "true";
+  }
+
+  if (rawValue === null || rawValue === undefined) {
+    return "";
+  }
+
+  if (kind === "date" || kind === "datetime") {
+    const date = rawValue instanceof Date ? rawValue : new Date(rawValue as string);
+    return isNaN(date.getTime()) ? "" : toDateInputValue(date, kind === "datetime");
+  }
+
+  return String(rawValue);
+}
+
+export function validateEditValue(
+  kind: EditorKind,
+  value: EditValue,
+  column: Column,
+  metadata: ColumnMetadata | undefined,
+  getString: StringFormatter
+): string | null {
+  if (typeof value === "boolean") return null;
+
+  const trimmedValue = value.trim();
+  if (!trimmedValue) {
+    return metadata && REQUIRED_LEVELS.includes(metadata.requiredLevel)
+      ? getString("Validation_Required", column.displayName)
+      : null;
+  }
+
+  if (metadata?.maxLength && trimmedValue.length > metadata.maxLength) {
+    return getString("Validation_Max_Length", column.displayName, metadata.maxLength);
+  }
+
+  switch (kind) {
+    case "email":
+      return EMAIL_PATTERN.test(trimmedValue) ? null : getString("Validation_Email");
+    case "phone":
+      return PHONE_PATTERN.test(trimmedValue) ? null : getString("Validation_Phone");
+    case "number": {
+      const numericValue = Number(trimmedValue);
+      if (!isFinite(numericValue)) return getString("Validation_Number");
+      if (column.dataType === "Whole.None" && !Number.isInteger(numericValue)) {
+        return getString("Validation_Whole_Number");
+      }
+      return null;
+    }
+    case "date":
+    case "datetime":
+      return isNaN(new Date(trimmedValue).getTime()) ? getString("Validation_Date") : null;
+    case "optionset":
+      return metadata?.options?.some((option) => option.value === Number(trimmedValue))
+        ? null
+        : getString("Validation_Option");
+    default:
+      return null;
+  }
+}
+
+export function toWebApiValue(kind: EditorKind, value: EditValue): string | number | boolean | null {
+  if (typeof value === "boolean") return value;
+
+  const trimmedValue = value.trim();
+  if (!trimmedValue) return null;
+
+  switch (kind) {
+    case "number":
+    case "optionset":
+      return Number(trimmedValue);
+    case "datetime":
+      return new Date(trimmedValue).toISOString();
+    default:
+      // Date-only columns take the yyyy-mm-dd value produced by the date input as is
+      return trimmedValue;
+  }
+}
+
+function getOptionLabel(label: unknown): string {
+  if (typeof label === "string") return label;
+  const localizedLabel = (label as { UserLocalizedLabel?: { Label?: string } })?.UserLocalizedLabel?.Label;
+  return localizedLabel ?? "";
+}
+
+interface OptionSetItem {
+  Label?: unknown;
+  Value?: unknown;
+  text?: unknown;
+  value?: unknown;
+}
+
+// Model-driven hosts wrap attribute metadata in an attributeDescriptor, other hosts return it directly
+export function readColumnMetadata(
+  entityMetadata: ComponentFramework.PropertyHelper.EntityMetadata,
+  columnName: string
+): ColumnMetadata {
+  const attribute = entityMetadata?.Attributes?.get?.(columnName);
+  const descriptor = attribute?.attributeDescriptor ?? attribute ?? {};
+  const optionSet = descriptor.OptionSet ?? attribute?.OptionSet;
+  const options = optionSet
+    ? (Object.values(optionSet) as OptionSetItem[]).map((option) => ({
+        label: getOptionLabel(option.Label ?? option.text),
+        value: Number(option.Value ?? option.value),
+      }))
+    : undefined;
+
+  return {
+    requiredLevel: Number(descriptor.RequiredLevel ?? 0),
+    maxLength: descriptor.MaxLength,
+    options,
+  };
+}
+
+export function getErrorMessage(error: unknown, fallbackMessage: string): string {
+  if (error && typeof error === "object" && "message" in error) {
+    return String((error as { message: unknown }).message);
+  }
+  return fallbackMessage;
+}
+
+// Each row is sent as one updateRecord call; a failing row does not stop the others
+export function saveChanges(
+  webAPI: ComponentFramework.WebApi,
+  entityType: string,
+  pendingChanges: PendingChanges,
+  editorKinds: { [columnName: string]: EditorKind },
+  getString: StringFormatter
+): Promise<SaveResult[]> {
+  const updates = Object.keys(pendingChanges).map((recordId) => {
+    const data: ComponentFramework.WebApi.Entity = {};
+    Object.keys(pendingChanges[recordId]).forEach((columnName) => {
+      data[columnName] = toWebApiValue(editorKinds[columnName], pendingChanges[recordId][columnName]);
+    });
+
+    // A host that throws instead of rejecting only fails its own row
+    return new Promise<unknown>((resolve) => resolve(webAPI.updateRecord(entityType, recordId, data))).then(
+      (): SaveResult => ({ recordId }),
+      (error: unknown): SaveResult => ({ recordId, error: getErrorMessage(error, getString("Save_Failed")) })
+    );
+  });
+
+  return Promise.all(updates);
+}
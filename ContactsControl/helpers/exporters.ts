@@ -0,0 +1,278 @@
+import { createZip } from "./zip";
+
+type EntityRecord = ComponentFramework.PropertyHelper.DataSetApi.EntityRecord;
+
+export type ExportScope = "page" | "filtered" | "selected";
+export type ExportFormat = "csv" | "xlsx" | "vcard";
+
+export interface ExportCell {
+  text: string;
+  // Raw value of numeric columns, written as a number cell in the workbook
+  number?: number;
+}
+
+export interface ExportTable {
+  headers: string[];
+  rows: ExportCell[][];
+}
+
+export interface VCardMapping {
+  fn: string;
+  givenName: string;
+  familyName: string;
+  email: string;
+  tel: string;
+  cell: string;
+  org: string;
+  title: string;
+  street: string;
+  city: string;
+  region: string;
+  postalCode: string;
+  country: string;
+}
+
+export const DEFAULT_VCARD_MAPPING: VCardMapping = {
+  fn: "fullname",
+  givenName: "firstname",
+  familyName: "lastname",
+  email: "emailaddress1",
+  tel: "telephone1",
+  cell: "mobilephone",
+  org: "parentcustomerid",
+  title: "jobtitle",
+  street: "address1_line1",
+  city: "address1_city",
+  region: "address1_stateorprovince",
+  postalCode: "address1_postalcode",
+  country: "address1_country",
+};
+
+const UTF8_BOM = "\uFEFF";
+
+// Spreadsheets run text starting with these characters as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Phone numbers such as +1 (425) 555-0100 cannot reference cells or call functions
+const PHONE_NUMBER = /^[\d +\-().]+$/;
+
+// RFC 4180: fields containing quotes, separators or line breaks are quoted, quotes are doubled.
+// Text that would start a formula gets a leading apostrophe; numbers and phone numbers are left alone.
+function escapeCsvField(value: string, isNumber = false): string {
+  const isFormula = !isNumber && FORMULA_PREFIX.test(value) && !PHONE_NUMBER.test(value);
+  const field = isFormula ? `'${value}` : value;
+  if (/[",\r\n]/.test(field)) {
+    return `"${field.replace(/"/g, '""')}"`;
+  }
+  return field;
+}
+
+export function toCsv(table: ExportTable): string {
+  const lines = [
+    table.headers.map((header) => escapeCsvField(header)).join(","),
+    ...table.rows.map((row) => row.map((cell) => escapeCsvField(cell.text, cell.number !== undefined)).join(",")),
+  ];
+
+  // The BOM makes Excel read the file as UTF-8 instead of the system code page
+  return UTF8_BOM + lines.join("\r\n") + "\r\n";
+}
+
+function escapeXml(value: string): string {
+  return (
+    value
+      // Control characters other than tab and line breaks are not allowed in XML 1.0
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+  );
+}
+
+function getColumnLetter(index: number): string {
+  let letter = "";
+  let remaining = index + 1;
+
+  while (remaining > 0) {
+    const modulo = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + modulo) + letter;
+    remaining = Math.floor((remaining - modulo) / 26);
+  }
+
+  return letter;
+}
+
+function toSheetCell(cell: ExportCell, reference: string): string {
+  if (cell.number !== undefined && isFinite(cell.number)) {
+    return `<c r="${reference}"><v>${cell.number}</v></c>`;
+  }
+  if (!cell.text) {
+    return "";
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.text)}</t></is></c>`;
+}
+
+function toSheetXml(table: ExportTable): string {
+  const rows = [table.headers.map((header): ExportCell => ({ text: header })), ...table.rows].map((row, rowIndex) => {
+    const cells = row.map((cell, columnIndex) => toSheetCell(cell, `${getColumnLetter(columnIndex)}${rowIndex + 1}`));
+    return `<row r="${rowIndex + 1}">${cells.join("")}</row>`;
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rows.join("")}</sheetData>` +
+    "</worksheet>"
+  );
+}
+
+// Excel rejects sheet names that are blank, longer than 31 characters, contain : \ / ? * [ ] or start or end
+// with an apostrophe
+function toSheetName(name: string, fallbackName: string): string {
+  const sheetName = name
+    .replace(/[:\\/?*[\]]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 31)
+    .replace(/^[\s']+|[\s']+$/g, "");
+  return sheetName || fallbackName;
+}
+
+// The smallest set of parts Excel needs to open a workbook: content types, relationships, workbook and one sheet
+export function toXlsx(table: ExportTable, sheetName: string, fallbackSheetName = "Sheet1"): Uint8Array {
+  return createZip([
+    {
+      path: "[Content_Types].xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ' +
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        "</Types>",
+    },
+    {
+      path: "_rels/.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" ' +
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+        'Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      path: "xl/workbook.xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(toSheetName(sheetName, fallbackSheetName))}" ` +
+        'sheetId="1" r:id="rId1"/></sheets>' +
+        "</workbook>",
+    },
+    {
+      path: "xl/_rels/workbook.xml.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" ' +
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+        'Target="worksheets/sheet1.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      path: "xl/worksheets/sheet1.xml",
+      content: toSheetXml(table),
+    },
+  ]);
+}
+
+// Overrides are read from the control property as JSON, e.g. {"email":"emailaddress2"}
+export function parseVCardMapping(json: string | null | undefined): VCardMapping {
+  if (!json) return DEFAULT_VCARD_MAPPING;
+
+  try {
+    const overrides = JSON.parse(json);
+    if (!overrides || typeof overrides !== "object") return DEFAULT_VCARD_MAPPING;
+
+    const mapping = { ...DEFAULT_VCARD_MAPPING };
+    (Object.keys(mapping) as (keyof VCardMapping)[]).forEach((field) => {
+      if (typeof overrides[field] === "string") mapping[field] = overrides[field];
+    });
+    return mapping;
+  } catch {
+    return DEFAULT_VCARD_MAPPING;
+  }
+}
+
+// RFC 6350 3.4: backslash, comma, semicolon and line breaks are escaped in property values
+function escapeVCardValue(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/,/g, "\\,").replace(/;/g, "\\;").replace(/\r\n|\r|\n/g, "\\n");
+}
+
+// RFC 6350 3.2: lines longer than 75 octets are folded without splitting a UTF-8 sequence
+function foldVCardLine(line: string): string {
+  const encoder = new TextEncoder();
+  const segments: string[] = [];
+  let segment = "";
+  let segmentLength = 0;
+
+  for (const character of line) {
+    const characterLength = encoder.encode(character).length;
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = segments.length === 0 ? 75 : 74;
+
+    if (segmentLength + characterLength > limit) {
+      segments.push(segment);
+      segment = "";
+      segmentLength = 0;
+    }
+
+    segment += character;
+    segmentLength += characterLength;
+  }
+
+  segments.push(segment);
+  return segments.join("\r\n ");
+}
+
+export function toVCard(record: EntityRecord, mapping: VCardMapping): string {
+  const read = (field: keyof VCardMapping) => (mapping[field] && record.getFormattedValue(mapping[field])) || "";
+  const givenName = read("givenName");
+  const familyName = read("familyName");
+  const fullName = read("fn") || [givenName, familyName].filter(Boolean).join(" ");
+
+  const lines = ["BEGIN:VCARD", "VERSION:4.0", `FN:${escapeVCardValue(fullName)}`];
+
+  if (givenName || familyName) {
+    lines.push(`N:${escapeVCardValue(familyName)};${escapeVCardValue(givenName)};;;`);
+  }
+
+  const optionalLines: [string, string][] = [
+    ["EMAIL", read("email")],
+    ["TEL;TYPE=work,voice", read("tel")],
+    ["TEL;TYPE=cell,voice", read("cell")],
+    ["ORG", read("org")],
+    ["TITLE", read("title")],
+  ];
+  optionalLines.forEach(([property, value]) => {
+    if (value) lines.push(`${property}:${escapeVCardValue(value)}`);
+  });
+
+  const address = [read("street"), read("city"), read("region"), read("postalCode"), read("country")];
+  if (address.some(Boolean)) {
+    // ADR components: post office box; extended address; street; locality; region; postal code; country
+    lines.push(`ADR;TYPE=work:;;${address.map(escapeVCardValue).join(";")}`);
+  }
+
+  lines.push("END:VCARD");
+  return lines.map(foldVCardLine).join("\r\n") + "\r\n";
+}
+
+export function toVCards(records: EntityRecord[], mapping: VCardMapping): string {
+  return records.map((record) => toVCard(record, mapping)).join("");
+}
@@ -0,0 +1,126 @@
+import { getSortValue, getValueKind } from "./comparators";
+
+type Column = ComponentFramework.PropertyHelper.DataSetApi.Column;
+type EntityRecord = ComponentFramework.PropertyHelper.DataSetApi.EntityRecord;
+
+export interface RecordGroup {
+  // Formatted value of the group column, empty for records without a value
+  key: string;
+  recordIds: string[];
+}
+
+// The part of a group that falls on the current page
+export interface GroupSegment {
+  group: RecordGroup;
+  recordIds: string[];
+  isCollapsed: boolean;
+  // True when the group started on an earlier page
+  isContinued: boolean;
+}
+
+export interface ColumnAggregates {
+  count: number;
+  distinctCount: number;
+  sum?: number;
+  average?: number;
+  min?: number;
+  max?: number;
+}
+
+// Groups appear in the order of their first record, so sorting by the group column first keeps them in order
+export function groupRecordIds(
+  recordIds: string[],
+  records: { [id: string]: EntityRecord },
+  column: Column
+): RecordGroup[] {
+  const groups = new Map<string, RecordGroup>();
+
+  recordIds.forEach((recordId) => {
+    const key = records[recordId].getFormattedValue(column.name) || "";
+    const group = groups.get(key);
+
+    if (group) {
+      group.recordIds.push(recordId);
+    } else {
+      groups.set(key, { key, recordIds: [recordId] });
+    }
+  });
+
+  return Array.from(groups.values());
+}
+
+// A collapsed group takes up a single row in place of its records
+export function countGroupRows(groups: RecordGroup[], collapsedKeys: string[]): number {
+  return groups.reduce(
+    (count, group) => count + (collapsedKeys.includes(group.key) ? 1 : group.recordIds.length),
+    0
+  );
+}
+
+export function paginateGroups(
+  groups: RecordGroup[],
+  collapsedKeys: string[],
+  startIndex: number,
+  pageSize: number
+): GroupSegment[] {
+  const segments: GroupSegment[] = [];
+  const endIndex = startIndex + pageSize;
+  let rowIndex = 0;
+
+  groups.forEach((group) => {
+    const isCollapsed = collapsedKeys.includes(group.key);
+    const rowCount = isCollapsed ? 1 : group.recordIds.length;
+    const groupStart = rowIndex;
+    rowIndex += rowCount;
+
+    if (rowIndex <= startIndex || groupStart >= endIndex) return;
+
+    const sliceStart = Math.max(startIndex - groupStart, 0);
+    segments.push({
+      group,
+      recordIds: isCollapsed ? [] : group.recordIds.slice(sliceStart, endIndex - groupStart),
+      isCollapsed,
+      isContinued: sliceStart > 0,
+    });
+  });
+
+  return segments;
+}
+
+export function isNumericColumn(column: Column): boolean {
+  return getValueKind(column.dataType) === "number" && column.dataType !== "OptionSet";
+}
+
+// Blank values are left out of every aggregate, numeric ones are only computed for number columns
+export function computeAggregates(
+  recordIds: string[],
+  records: { [id: string]: EntityRecord },
+  column: Column
+): ColumnAggregates {
+  const distinctValues = new Set<string>();
+  const numbers: number[] = [];
+  let count = 0;
+
+  recordIds.forEach((recordId) => {
+    const record = records[recordId];
+    const sortValue = getSortValue(record, column);
+    if (sortValue === null) return;
+
+    count++;
+    distinctValues.add(record.getFormattedValue(column.name) || String(sortValue));
+    if (typeof sortValue === "number") numbers.push(sortValue);
+  });
+
+  const aggregates: ColumnAggregates = { count, distinctCount: distinctValues.size };
+
+  if (isNumericColumn(column) && numbers.length > 0) {
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    aggregates.sum = sum;
+    aggregates.average = sum / numbers.length;
+    // reduce instead of spreading into Math.min, which overflows the stack on large datasets
+    aggregates.min = numbers.reduce((min, value) => Math.min(min, value));
+    aggregates.max = numbers.reduce((max, value) => Math.max(max, value));
+  }
+
+  return aggregates;
+}
@@ -0,0 +1,69 @@
+export interface CellPosition {
+  row: number;
+  column: number;
+}
+
+export type GridMove = CellPosition | "previousPage" | "nextPage" | null;
+
+const FOCUSABLE_SELECTOR = "a[href], button, input, select, textarea, [tabindex]";
+
+// Follows the WAI-ARIA grid pattern. Rows can have fewer cells than the header (group rows span the whole
+// table), so columnCounts holds the cell count of every row. Only one page is shown at a time, so PageUp and
+// PageDown turn the page instead of scrolling.
+export function getNextCellPosition(
+  key: string,
+  ctrlKey: boolean,
+  position: CellPosition,
+  columnCounts: number[]
+): GridMove {
+  const lastRow = columnCounts.length - 1;
+  const lastColumn = columnCounts[position.row] - 1;
+  const column = Math.min(position.column, lastColumn);
+
+  switch (key) {
+    case "ArrowUp":
+      return { row: Math.max(position.row - 1, 0), column: position.column };
+    case "ArrowDown":
+      return { row: Math.min(position.row + 1, lastRow), column: position.column };
+    case "ArrowLeft":
+      return { row: position.row, column: Math.max(column - 1, 0) };
+    case "ArrowRight":
+      return { row: position.row, column: Math.min(column + 1, lastColumn) };
+    case "Home":
+      return ctrlKey ? { row: 0, column: 0 } : { row: position.row, column: 0 };
+    case "End":
+      return ctrlKey ? { row: lastRow, column: columnCounts[lastRow] - 1 } : { row: position.row, column: lastColumn };
+    case "PageUp":
+      return "previousPage";
+    case "PageDown":
+      return "nextPage";
+    default:
+      return null;
+  }
+}
+
+export function getFocusableElements(container: HTMLElement): HTMLElement[] {
+  return Array.from(container.querySelectorAll<HTMLElement>(FOCUSABLE_SELECTOR)).filter(
+    (element) => element.tabIndex >= 0 && !(element as HTMLButtonElement).disabled
+  );
+}
+
+// Keeps Tab and Shift+Tab cycling through the focusable elements of a modal dialog
+export function trapFocus(container: HTMLElement, event: KeyboardEvent): void {
+  const focusableElements = getFocusableElements(container);
+  if (focusableElements.length === 0) {
+    event.preventDefault();
+    return;
+  }
+
+  const first = focusableElements[0];
+  const last = focusableElements[focusableElements.length - 1];
+
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
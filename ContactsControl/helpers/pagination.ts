@@ -0,0 +1,28 @@
+export type PageItem = number | "gap";
+
+// Pages shown around the current page, besides the first and the last
+const PAGE_WINDOW_SIZE = 5;
+
+// Long page lists keep the first and last page and a window around the current page, with gaps in between
+export function getPageWindow(currentPage: number, totalPages: number): PageItem[] {
+  if (totalPages <= PAGE_WINDOW_SIZE + 2) {
+    return Array.from({ length: totalPages }, (_, index) => index + 1);
+  }
+
+  // Near either end the window shifts instead of shrinking
+  const windowStart = Math.max(2, currentPage - Math.floor(PAGE_WINDOW_SIZE / 2));
+  const end = Math.min(totalPages - 1, windowStart + PAGE_WINDOW_SIZE - 1);
+  const start = Math.max(2, end - PAGE_WINDOW_SIZE + 1);
+
+  // A gap standing for a single page shows that page instead
+  const first = start === 3 ? 2 : start;
+  const last = end === totalPages - 2 ? totalPages - 1 : end;
+
+  const items: PageItem[] = [1];
+  if (first > 2) items.push("gap");
+  for (let page = first; page <= last; page++) items.push(page);
+  if (last < totalPages - 1) items.push("gap");
+  items.push(totalPages);
+
+  return items;
+}
@@ -0,0 +1,309 @@
+import { getSortValue, getValueKind } from "./comparators";
+
+type Column = ComponentFramework.PropertyHelper.DataSetApi.Column;
+type EntityRecord = ComponentFramework.PropertyHelper.DataSetApi.EntityRecord;
+
+export type ClauseOperator = "contains" | ">" | "<" | ">=" | "<=";
+
+export interface SearchClause {
+  // Column name or display name the clause is restricted to, e.g. "city" in city:London
+  field?: string;
+  value: string;
+  normalizedValue: string;
+  operator: ClauseOperator;
+  negated: boolean;
+  phrase: boolean;
+}
+
+// Clauses inside a group must all match; a record matches the query when any group matches
+export interface SearchQuery {
+  groups: SearchClause[][];
+}
+
+const COMPARISON_PATTERN = /^(>=|<=|>|<)(.+)$/;
+const FIELD_PATTERN = /^([\w.]+):(?=\S)/;
+const DIACRITICS_PATTERN = /[\u0300-\u036f]/g;
+
+// Shortest term that is matched with typo tolerance, shorter ones match too much
+const MIN_FUZZY_LENGTH = 4;
+
+export function normalizeText(value: string): string {
+  return value.normalize("NFD").replace(DIACRITICS_PATTERN, "").toLowerCase();
+}
+
+export function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Parses the search box text. Supported syntax:
+ * - `smith` matches any column, `city:london` only the city column
+ * - `"new york"` matches the quoted phrase, also as `city:"new york"`
+ * - `-inactive` excludes records matching the term
+ * - `revenue:>1000`, `createdon:<2024-01-01` compare number and date columns (also >= and <=)
+ * - `OR` between terms matches either side
+ */
+export function parseSearchQuery(text: string): SearchQuery {
+  const groups: SearchClause[][] = [[]];
+  let index = 0;
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    let negated = false;
+    if (text[index] === "-" && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+      negated = true;
+      index++;
+    }
+
+    let field: string | undefined;
+    const fieldMatch = FIELD_PATTERN.exec(text.slice(index));
+    if (fieldMatch) {
+      field = fieldMatch[1];
+      index += fieldMatch[0].length;
+    }
+
+    let value: string;
+    let phrase = false;
+
+    if (text[index] === '"') {
+      const closingQuote = text.indexOf('"', index + 1);
+      const end = closingQuote === -1 ? text.length : closingQuote;
+      value = text.slice(index + 1, end);
+      index = end + 1;
+      phrase = true;
+    } else {
+      const start = index;
+      while (index < text.length && !/\s/.test(text[index])) index++;
+      value = text.slice(start, index);
+    }
+
+    if (!phrase && !negated && !field && value === "OR") {
+      groups.push([]);
+      continue;
+    }
+
+    let operator: ClauseOperator = "contains";
+    const comparisonMatch = phrase ? null : COMPARISON_PATTERN.exec(value);
+    if (comparisonMatch) {
+      operator = comparisonMatch[1] as ClauseOperator;
+      value = comparisonMatch[2];
+    }
+
+    if (!value.trim()) continue;
+
+    groups[groups.length - 1].push({
+      field,
+      value,
+      normalizedValue: normalizeText(value),
+      operator,
+      negated,
+      phrase,
+    });
+  }
+
+  return { groups: groups.filter((group) => group.length > 0) };
+}
+
+export function isEmptyQuery(query: SearchQuery): boolean {
+  return query.groups.length === 0;
+}
+
+// Fields match the column name or the display name without spaces, ignoring case and accents
+export function findFieldColumns(columns: Column[], field: string): Column[] {
+  const normalizedField = normalizeText(field);
+  return columns.filter(
+    (column) =>
+      normalizeText(column.name) === normalizedField ||
+      normalizeText(column.displayName.replace(/\s+/g, "")) === normalizedField
+  );
+}
+
+// Optimal string alignment distance, so a swapped pair of letters counts as one typo
+function getEditDistance(a: string, b: string, maxDistance: number): number {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  const rows: number[][] = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    let rowMinimum = Infinity;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+
+      rowMinimum = Math.min(rowMinimum, rows[i][j]);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+  }
+
+  return rows[a.length][b.length];
+}
+
+// A term matches a word it is close to, or the start of a longer word so partially typed words still match
+export function fuzzyMatches(normalizedText: string, normalizedTerm: string): boolean {
+  if (normalizedTerm.length < MIN_FUZZY_LENGTH || /\s/.test(normalizedTerm)) return false;
+
+  const maxDistance = normalizedTerm.length >= 8 ? 2 : 1;
+  const words = normalizedText.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+  return words.some(
+    (word) =>
+      getEditDistance(word, normalizedTerm, maxDistance) <= maxDistance ||
+      (word.length > normalizedTerm.length &&
+        getEditDistance(word.slice(0, normalizedTerm.length), normalizedTerm, maxDistance) <= maxDistance)
+  );
+}
+
+function parseComparisonValue(column: Column, value: string): number | null {
+  const kind = getValueKind(column.dataType);
+
+  if (kind === "number" && column.dataType !== "OptionSet") {
+    const numericValue = Number(value);
+    return isNaN(numericValue) ? null : numericValue;
+  }
+
+  if (kind === "date") {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  return null;
+}
+
+function compareColumn(record: EntityRecord, column: Column, clause: SearchClause): boolean {
+  const expected = parseComparisonValue(column, clause.value);
+  const actual = getSortValue(record, column);
+  if (expected === null || typeof actual !== "number") return false;
+
+  switch (clause.operator) {
+    case ">":
+      return actual > expected;
+    case "<":
+      return actual < expected;
+    case ">=":
+      return actual >= expected;
+    default:
+      return actual <= expected;
+  }
+}
+
+interface ClauseTarget {
+  targetColumns: Column[];
+  normalizedValue: string;
+}
+
+// The columns a clause searches and the text it looks for in them
+function getClauseTarget(columns: Column[], clause: SearchClause): ClauseTarget {
+  if (!clause.field) return { targetColumns: columns, normalizedValue: clause.normalizedValue };
+
+  const fieldColumns = findFieldColumns(columns, clause.field);
+  if (fieldColumns.length > 0) return { targetColumns: fieldColumns, normalizedValue: clause.normalizedValue };
+
+  // Not a known column, so "10:30" or "http://..." are searched as plain text
+  return { targetColumns: columns, normalizedValue: normalizeText(`${clause.field}:${clause.value}`) };
+}
+
+function matchesClause(record: EntityRecord, columns: Column[], clause: SearchClause, fuzzy: boolean): boolean {
+  const { targetColumns, normalizedValue } = getClauseTarget(columns, clause);
+  let matched: boolean;
+
+  if (clause.operator !== "contains") {
+    matched = targetColumns.some((column) => compareColumn(record, column, clause));
+  } else {
+    // Exclusions and quoted phrases are exact, a typo should never hide a record
+    const allowFuzzy = fuzzy && !clause.negated && !clause.phrase;
+
+    matched = targetColumns.some((column) => {
+      const normalizedText = normalizeText(record.getFormattedValue(column.name) || "");
+      return normalizedText.includes(normalizedValue) || (allowFuzzy && fuzzyMatches(normalizedText, normalizedValue));
+    });
+  }
+
+  return clause.negated ? !matched : matched;
+}
+
+export function matchesQuery(record: EntityRecord, columns: Column[], query: SearchQuery, fuzzy: boolean): boolean {
+  if (isEmptyQuery(query)) return true;
+  return query.groups.some((group) => group.every((clause) => matchesClause(record, columns, clause, fuzzy)));
+}
+
+// Highlights the same text the clauses matched, including the field of clauses on unknown columns
+export function getHighlightTerms(query: SearchQuery, columns: Column[]): string[] {
+  const terms = query.groups
+    .flat()
+    .filter((clause) => !clause.negated && clause.operator === "contains")
+    .map((clause) => getClauseTarget(columns, clause).normalizedValue);
+
+  return Array.from(new Set(terms));
+}
+
+// Matching ignores case and accents, so "jose" highlights "José". The value is HTML-encoded,
+// which makes the result safe to assign to innerHTML.
+export function highlightMatches(value: string, normalizedTerms: string[]): string {
+  const characters = Array.from(value);
+  if (normalizedTerms.length === 0 || characters.length === 0) return escapeHtml(value);
+
+  // Folds each character separately so positions in the folded text map back to the original
+  let foldedText = "";
+  const origins: number[] = [];
+  characters.forEach((character, characterIndex) => {
+    const folded = normalizeText(character);
+    for (let i = 0; i < folded.length; i++) origins.push(characterIndex);
+    foldedText += folded;
+  });
+
+  const highlighted = new Array<boolean>(characters.length).fill(false);
+  const pattern = new RegExp(normalizedTerms.map(escapeRegExp).join("|"), "g");
+  let match: RegExpExecArray | null;
+
+  while ((match = pattern.exec(foldedText)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
+    const start = origins[match.index];
+    let end = origins[match.index + match[0].length - 1];
+    // Combining marks fold to nothing, so they are kept with the letter they belong to
+    while (end + 1 < characters.length && !normalizeText(characters[end + 1])) end++;
+    for (let i = start; i <= end; i++) highlighted[i] = true;
+  }
+
+  let html = "";
+  let index = 0;
+  while (index < characters.length) {
+    const isHighlighted = highlighted[index];
+    let end = index;
+    while (end < characters.length && highlighted[end] === isHighlighted) end++;
+
+    const text = escapeHtml(characters.slice(index, end).join(""));
+    html += isHighlighted ? `<span class="highlight">${text}</span>` : text;
+    index = end;
+  }
+
+  return html;
+}
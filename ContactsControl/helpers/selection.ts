@@ -0,0 +1,50 @@
+export type SelectionMode = "single" | "multiple";
+
+export interface SelectionGesture {
+  // Extends the selection from the anchor record to the clicked record
+  range: boolean;
+  // Adds or removes the clicked record without touching the rest of the selection
+  toggle: boolean;
+}
+
+export function getNextSelection(
+  selectedIds: string[],
+  recordId: string,
+  anchorId: string | null,
+  visibleIds: string[],
+  gesture: SelectionGesture,
+  mode: SelectionMode
+): string[] {
+  const isSelected = selectedIds.includes(recordId);
+
+  if (mode === "single") {
+    return isSelected && gesture.toggle ? [] : [recordId];
+  }
+
+  const anchorIndex = anchorId ? visibleIds.indexOf(anchorId) : -1;
+  const recordIndex = visibleIds.indexOf(recordId);
+
+  if (gesture.range && anchorIndex !== -1 && recordIndex !== -1) {
+    const start = Math.min(anchorIndex, recordIndex);
+    const range = visibleIds.slice(start, Math.max(anchorIndex, recordIndex) + 1);
+    if (!gesture.toggle) return range;
+    return [...selectedIds, ...range.filter((id) => !selectedIds.includes(id))];
+  }
+
+  if (gesture.toggle) {
+    return isSelected ? selectedIds.filter((id) => id !== recordId) : [...selectedIds, recordId];
+  }
+
+  return [recordId];
+}
+
+// Select-all only works on the records the current search leaves visible
+export function toggleAll(selectedIds: string[], visibleIds: string[]): string[] {
+  const allSelected = visibleIds.length > 0 && visibleIds.every((id) => selectedIds.includes(id));
+
+  if (allSelected) {
+    return selectedIds.filter((id) => !visibleIds.includes(id));
+  }
+
+  return [...selectedIds, ...visibleIds.filter((id) => !selectedIds.includes(id))];
+}
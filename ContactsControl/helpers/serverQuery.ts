@@ -0,0 +1,237 @@
+import { SortColumn, getValueKind } from "./comparators";
+import { SearchClause, SearchQuery, findFieldColumns, isEmptyQuery } from "./search";
+
+type DataSet = ComponentFramework.PropertyTypes.DataSet;
+type Column = ComponentFramework.PropertyHelper.DataSetApi.Column;
+type FilterExpression = ComponentFramework.PropertyHelper.DataSetApi.FilterExpression;
+type Paging = ComponentFramework.PropertyHelper.DataSetApi.Paging;
+type SortStatus = ComponentFramework.PropertyHelper.DataSetApi.SortStatus;
+
+export interface ServerCapabilities {
+  sorting: boolean;
+  filtering: boolean;
+  paging: boolean;
+}
+
+export const NO_SERVER_CAPABILITIES: ServerCapabilities = { sorting: false, filtering: false, paging: false };
+
+// Column types the "Like" condition operator can be applied to
+const SEARCHABLE_DATA_TYPES = [
+  "SingleLine.Text",
+  "SingleLine.Email",
+  "SingleLine.Phone",
+  "SingleLine.URL",
+  "SingleLine.TextArea",
+  "Multiple",
+];
+
+const CONDITION_OPERATOR_LIKE = 6;
+const FILTER_OPERATOR_AND = 0;
+const FILTER_OPERATOR_OR = 1;
+
+const COMPARISON_OPERATORS = {
+  ">": 2,
+  "<": 3,
+  ">=": 4,
+  "<=": 5,
+} as const;
+const SORT_ASCENDING = 0;
+const SORT_DESCENDING = 1;
+
+// Hosts such as the test harness or canvas apps only implement part of the DataSet API
+export function getServerCapabilities(dataset: DataSet): ServerCapabilities {
+  const canRefresh = typeof dataset.refresh === "function";
+  const filtering = dataset.filtering;
+  const paging = dataset.paging;
+
+  return {
+    sorting: canRefresh && Array.isArray(dataset.sorting),
+    filtering:
+      canRefresh &&
+      !!filtering &&
+      typeof filtering.setFilter === "function" &&
+      typeof filtering.clearFilter === "function",
+    paging:
+      !!paging &&
+      typeof paging.setPageSize === "function" &&
+      (typeof paging.loadExactPage === "function" || typeof paging.loadNextPage === "function"),
+  };
+}
+
+export function getSearchableColumns(columns: Column[]): Column[] {
+  return columns.filter((column) => SEARCHABLE_DATA_TYPES.includes(column.dataType) && !column.name.includes("."));
+}
+
+// Escapes the wildcard characters understood by the "Like" operator
+function escapeLikeValue(value: string): string {
+  return value.replace(/[%_[]/g, (match) => `[${match}]`);
+}
+
+// Returns null for clauses the DataSet filter cannot express, such as exclusions,
+// and fuzzy matching is not available on the server either
+function buildClauseFilter(columns: Column[], clause: SearchClause): FilterExpression | null {
+  if (clause.negated) return null;
+
+  const fieldColumns = clause.field ? findFieldColumns(columns, clause.field) : columns;
+  if (fieldColumns.length === 0) return null;
+
+  if (clause.operator !== "contains") {
+    const comparableColumns = fieldColumns.filter((column) => {
+      const kind = getValueKind(column.dataType);
+      return (kind === "number" && column.dataType !== "OptionSet") || kind === "date";
+    });
+    if (!clause.field || comparableColumns.length === 0) return null;
+
+    return {
+      filterOperator: FILTER_OPERATOR_OR,
+      conditions: comparableColumns.map((column) => ({
+        attributeName: column.name,
+        conditionOperator: COMPARISON_OPERATORS[clause.operator as keyof typeof COMPARISON_OPERATORS],
+        value: clause.value,
+      })),
+    };
+  }
+
+  const searchableColumns = getSearchableColumns(fieldColumns);
+  if (searchableColumns.length === 0) return null;
+
+  return {
+    filterOperator: FILTER_OPERATOR_OR,
+    conditions: searchableColumns.map((column) => ({
+      attributeName: column.name,
+      conditionOperator: CONDITION_OPERATOR_LIKE,
+      value: `%${escapeLikeValue(clause.value)}%`,
+    })),
+  };
+}
+
+// Clauses of a group are combined with AND, the groups of the query with OR
+function combineGroupFilters(groupFilters: FilterExpression[][]): FilterExpression | null {
+  const filters = groupFilters.map((clauseFilters): FilterExpression => ({
+    filterOperator: FILTER_OPERATOR_AND,
+    conditions: [],
+    filters: clauseFilters,
+  }));
+
+  if (filters.length === 0) return null;
+  if (filters.length === 1) return filters[0];
+  return { filterOperator: FILTER_OPERATOR_OR, conditions: [], filters };
+}
+
+// Returns null unless the filter can express every clause of the query
+export function buildSearchFilter(columns: Column[], query: SearchQuery): FilterExpression | null {
+  const groupFilters: FilterExpression[][] = [];
+
+  for (const group of query.groups) {
+    const clauseFilters: FilterExpression[] = [];
+
+    for (const clause of group) {
+      const clauseFilter = buildClauseFilter(columns, clause);
+      if (!clauseFilter) return null;
+      clauseFilters.push(clauseFilter);
+    }
+
+    groupFilters.push(clauseFilters);
+  }
+
+  return combineGroupFilters(groupFilters);
+}
+
+export interface ServerSearch {
+  // Sent to the host; null when no clause narrows the records down
+  filter: FilterExpression | null;
+  // Matched against the records of each loaded page, because the filter cannot express it
+  pageQuery: SearchQuery;
+}
+
+// The filter leaves out the clauses it cannot express, so the host returns every record the query
+// matches and possibly more; the page query removes the extra records from each loaded page
+export function splitServerSearch(columns: Column[], query: SearchQuery): ServerSearch {
+  const fullFilter = buildSearchFilter(columns, query);
+  if (fullFilter || isEmptyQuery(query)) {
+    return { filter: fullFilter, pageQuery: { groups: [] } };
+  }
+
+  const groupFilters: FilterExpression[][] = [];
+  const pageClauses: SearchClause[] = [];
+
+  for (const group of query.groups) {
+    const clauseFilters: FilterExpression[] = [];
+
+    group.forEach((clause) => {
+      const clauseFilter = buildClauseFilter(columns, clause);
+      if (clauseFilter) {
+        clauseFilters.push(clauseFilter);
+      } else {
+        pageClauses.push(clause);
+      }
+    });
+
+    // A group without any filter matches every record, and so does the query
+    if (clauseFilters.length === 0) return { filter: null, pageQuery: query };
+    groupFilters.push(clauseFilters);
+  }
+
+  // A record passing the filter through one OR group can still fail the page clauses of that group
+  // while matching another group, so OR queries are matched again as a whole
+  const pageQuery = query.groups.length === 1 ? { groups: [pageClauses] } : query;
+  return { filter: combineGroupFilters(groupFilters), pageQuery };
+}
+
+// Clauses the filter cannot express are matched on each loaded page, see splitServerSearch
+export function applyServerSearch(dataset: DataSet, query: SearchQuery): void {
+  dataset.filtering.clearFilter();
+
+  const { filter } = splitServerSearch(dataset.columns, query);
+  if (filter) {
+    dataset.filtering.setFilter(filter);
+  }
+
+  dataset.refresh();
+}
+
+export function applyServerSort(dataset: DataSet, sortColumns: SortColumn[]): void {
+  // sorting is exposed as a read-only array reference, so it has to be mutated in place
+  dataset.sorting.splice(
+    0,
+    dataset.sorting.length,
+    ...sortColumns.map((sortColumn): SortStatus => ({
+      name: sortColumn.name,
+      sortDirection: sortColumn.isAscending ? SORT_ASCENDING : SORT_DESCENDING,
+    }))
+  );
+
+  dataset.refresh();
+}
+
+// Returns the page that was actually requested, which differs from the target page
+// when the host can only step one page at a time
+export function loadServerPage(paging: Paging, fromPage: number, toPage: number): number {
+  if (typeof paging.loadExactPage === "function") {
+    paging.loadExactPage(toPage);
+    return toPage;
+  }
+
+  if (toPage > fromPage && paging.hasNextPage) {
+    paging.loadNextPage(true);
+    return fromPage + 1;
+  }
+
+  if (toPage < fromPage && paging.hasPreviousPage) {
+    paging.loadPreviousPage(true);
+    return fromPage - 1;
+  }
+
+  return fromPage;
+}
+
+export function getServerTotalPages(paging: Paging, currentPage: number, requestedPageSize: number): number {
+  // totalResultCount is -1 when the host has not counted the query yet
+  if (paging.totalResultCount >= 0) {
+    // The host may keep its own page size, so count pages the way it loads them
+    const pageSize = paging.pageSize > 0 ? paging.pageSize : requestedPageSize;
+    return Math.ceil(paging.totalResultCount / pageSize);
+  }
+
+  return paging.hasNextPage ? currentPage + 1 : currentPage;
+}
@@ -0,0 +1,12 @@
+export type StringFormatter = (key: string, ...values: (string | number)[]) => string;
+
+// Values from the resx files can hold {0}, {1}... placeholders, filled in order from the arguments.
+// A missing key is returned as is so it is easy to spot in the UI.
+export function createStringFormatter(resources: ComponentFramework.Resources): StringFormatter {
+  return (key, ...values) => {
+    const text = resources?.getString(key) || key;
+    return text.replace(/\{(\d+)\}/g, (placeholder, index: string) =>
+      Number(index) < values.length ? String(values[Number(index)]) : placeholder
+    );
+  };
+}
@@ -0,0 +1,116 @@
+import { SortColumn } from "./comparators";
+
+type Column = ComponentFramework.PropertyHelper.DataSetApi.Column;
+
+export interface ViewState {
+  currentPage: number;
+  sortColumns: SortColumn[];
+  searchText: string;
+  hiddenColumns: string[];
+  columnOrder: string[];
+  columnWidths: { [columnName: string]: number };
+  groupByColumn: string;
+  showAggregates: boolean;
+}
+
+export function createDefaultViewState(): ViewState {
+  return {
+    currentPage: 1,
+    sortColumns: [],
+    searchText: "",
+    hiddenColumns: [],
+    columnOrder: [],
+    columnWidths: {},
+    groupByColumn: "",
+    showAggregates: false,
+  };
+}
+
+// The same control is used on several forms and views, so state is kept apart per user and per view
+export function getViewStateKey(userId: string, viewId: string): string {
+  return `ContactsControl.viewState.${userId || "anonymous"}.${viewId || "default"}`;
+}
+
+function isViewState(value: unknown): value is Partial<ViewState> {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Anything missing or malformed in a stored state falls back to the defaults
+function normalizeViewState(value: unknown): ViewState | null {
+  if (!isViewState(value)) return null;
+
+  const defaults = createDefaultViewState();
+  return {
+    currentPage: typeof value.currentPage === "number" && value.currentPage > 0 ? value.currentPage : 1,
+    sortColumns: Array.isArray(value.sortColumns)
+      ? value.sortColumns.filter((sortColumn) => sortColumn && typeof sortColumn.name === "string")
+      : defaults.sortColumns,
+    searchText: typeof value.searchText === "string" ? value.searchText : defaults.searchText,
+    hiddenColumns: Array.isArray(value.hiddenColumns) ? value.hiddenColumns : defaults.hiddenColumns,
+    columnOrder: Array.isArray(value.columnOrder) ? value.columnOrder : defaults.columnOrder,
+    columnWidths: isViewState(value.columnWidths) ? value.columnWidths : defaults.columnWidths,
+    groupByColumn: typeof value.groupByColumn === "string" ? value.groupByColumn : defaults.groupByColumn,
+    showAggregates: typeof value.showAggregates === "boolean" ? value.showAggregates : defaults.showAggregates,
+  };
+}
+
+function readLocalStorage(key: string): unknown {
+  try {
+    const json = window.localStorage.getItem(key);
+    return json ? JSON.parse(json) : null;
+  } catch {
+    // localStorage is unavailable in some hosts and private browsing modes
+    return null;
+  }
+}
+
+function writeLocalStorage(key: string, viewState: ViewState): void {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(viewState));
+  } catch {
+    // Persisting is best effort, the control keeps working with in-memory state
+  }
+}
+
+// The state dictionary from init takes priority, localStorage covers hosts that do not keep control state
+export function loadViewState(controlState: ComponentFramework.Dictionary | undefined, key: string): ViewState {
+  return (
+    normalizeViewState(controlState?.[key]) ?? normalizeViewState(readLocalStorage(key)) ?? createDefaultViewState()
+  );
+}
+
+export function saveViewState(
+  mode: ComponentFramework.Mode,
+  controlState: ComponentFramework.Dictionary,
+  key: string,
+  viewState: ViewState
+): void {
+  controlState[key] = viewState;
+
+  if (typeof mode.setControlState === "function") {
+    mode.setControlState(controlState);
+  }
+
+  writeLocalStorage(key, viewState);
+}
+
+// Columns missing from the saved order (e.g. added to the view later) keep their view position at the end
+export function getOrderedColumns(columns: Column[], columnOrder: string[]): Column[] {
+  const position = (column: Column) => {
+    const index = columnOrder.indexOf(column.name);
+    return index === -1 ? columnOrder.length + columns.indexOf(column) : index;
+  };
+
+  return [...columns].sort((a, b) => position(a) - position(b));
+}
+
+// A column dropped on a header to its right lands after that header, otherwise before it
+export function moveColumn(columnNames: string[], columnName: string, targetName: string): string[] {
+  const fromIndex = columnNames.indexOf(columnName);
+  const toIndex = columnNames.indexOf(targetName);
+  if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return columnNames;
+
+  const reordered = columnNames.filter((name) => name !== columnName);
+  reordered.splice(toIndex, 0, columnName);
+  return reordered;
+}
@@ -0,0 +1,100 @@
+export interface ZipEntry {
+  path: string;
+  content: string;
+}
+
+let crcTable: number[] | null = null;
+
+function getCrcTable(): number[] {
+  if (crcTable) return crcTable;
+
+  crcTable = [];
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable.push(c >>> 0);
+  }
+
+  return crcTable;
+}
+
+export function crc32(bytes: Uint8Array): number {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// DOS date/time for 1980-01-01 00:00, the earliest value the format can hold
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+const UTF8_FLAG = 0x0800;
+
+// Writes an uncompressed ("stored") archive, which every zip reader including Excel accepts
+export function createZip(entries: ZipEntry[]): Uint8Array {
+  const encoder = new TextEncoder();
+  const localParts: Uint8Array[] = [];
+  const centralParts: Uint8Array[] = [];
+  let offset = 0;
+
+  entries.forEach((entry) => {
+    const name = encoder.encode(entry.path);
+    const data = encoder.encode(entry.content);
+    const crc = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true);
+    localHeader.setUint16(4, 20, true);
+    localHeader.setUint16(6, UTF8_FLAG, true);
+    localHeader.setUint16(8, 0, true);
+    localHeader.setUint16(10, DOS_TIME, true);
+    localHeader.setUint16(12, DOS_DATE, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, data.length, true);
+    localHeader.setUint32(22, data.length, true);
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true);
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true);
+    centralHeader.setUint16(4, 20, true);
+    centralHeader.setUint16(6, 20, true);
+    centralHeader.setUint16(8, UTF8_FLAG, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, DOS_TIME, true);
+    centralHeader.setUint16(14, DOS_DATE, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, name.length, true);
+    centralHeader.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(localHeader.buffer), name, data);
+    centralParts.push(new Uint8Array(centralHeader.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const endRecord = new DataView(new ArrayBuffer(22));
+  endRecord.setUint32(0, 0x06054b50, true);
+  endRecord.setUint16(8, entries.length, true);
+  endRecord.setUint16(10, entries.length, true);
+  endRecord.setUint32(12, centralSize, true);
+  endRecord.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(endRecord.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+
+  return zip;
+}
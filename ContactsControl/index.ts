@@ -1,17 +1,140 @@
 import { IInputs, IOutputs } from "./generated/ManifestTypes";
 import DataSetInterfaces = ComponentFramework.PropertyHelper.DataSetApi;
 import './CSS/ContactsControl.css';
+import { NullOrder, SortColumn, getValueKind, sortRecordIds } from "./helpers/comparators";
+import {
+  NO_SERVER_CAPABILITIES,
+  ServerCapabilities,
+  applyServerSearch,
+  applyServerSort,
+  getServerCapabilities,
+  getServerTotalPages,
+  loadServerPage,
+  splitServerSearch,
+} from "./helpers/serverQuery";
+import {
+  ColumnMetadata,
+  EditValue,
+  EditorKind,
+  INPUT_TYPES,
+  PendingChanges,
+  getEditValue,
+  getEditorKind,
+  getErrorMessage,
+  readColumnMetadata,
+  saveChanges,
+  validateEditValue,
+} from "./helpers/editing";
+import {
+  ExportCell,
+  ExportFormat,
+  ExportScope,
+  ExportTable,
+  parseVCardMapping,
+  toCsv,
+  toVCards,
+  toXlsx,
+} from "./helpers/exporters";
+import {
+  SearchQuery,
+  escapeHtml,
+  getHighlightTerms,
+  highlightMatches,
+  isEmptyQuery,
+  matchesQuery,
+  parseSearchQuery,
+} from "./helpers/search";
+import {
+  ViewState,
+  createDefaultViewState,
+  getOrderedColumns,
+  getViewStateKey,
+  loadViewState,
+  moveColumn,
+  saveViewState,
+} from "./helpers/viewState";
+import { SelectionGesture, SelectionMode, getNextSelection, toggleAll } from "./helpers/selection";
+import {
+  ColumnAggregates,
+  GroupSegment,
+  computeAggregates,
+  countGroupRows,
+  groupRecordIds,
+  isNumericColumn,
+  paginateGroups,
+} from "./helpers/grouping";
+import { StringFormatter, createStringFormatter } from "./helpers/strings";
+import { CellPosition, getNextCellPosition, trapFocus } from "./helpers/keyboard";
+import { getPageWindow } from "./helpers/pagination";
 
-type DataSet = ComponentFramework.PropertyTypes.DataSet;
+type Layout = "table" | "cards" | "list";
+
+// Widths in pixels below which the "auto" layout switches away from the table
+const COMPACT_LIST_MAX_WIDTH = 480;
+const CARD_GRID_MAX_WIDTH = 900;
+const MIN_COLUMN_WIDTH = 60;
+const SEARCH_DEBOUNCE_MS = 250;
+
+function getInitials(name: string): string {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return "";
+  const initials = words.length === 1 ? words[0][0] : words[0][0] + words[words.length - 1][0];
+  return initials.toUpperCase();
+}
 
 export class ContactsControl implements ComponentFramework.StandardControl<IInputs, IOutputs> {
   private container: HTMLDivElement;
+  private getString: StringFormatter;
+  private tableContainer: HTMLDivElement;
+  private searchBar: HTMLDivElement;
   private searchInput: HTMLInputElement;
-  private currentSortColumn: string;
-  private isAscending: boolean = true;
+  private searchTimeout: number | undefined;
+  private exportScopeSelect: HTMLSelectElement;
+  private sortColumns: SortColumn[] = [];
 
   private currentPage: number = 1;
   private recordsPerPage: number = 13;
+  private isServerPaging: boolean = false;
+  private pageSizeRequested: boolean = false;
+  private isPageOnlySearch: boolean = false;
+
+  private notifyOutputChanged: () => void;
+  private selectedRecordIds: string[] = [];
+  private selectedNames: { [id: string]: string } = {};
+  private selectionAnchorId: string | null = null;
+  private sortedRecordIds: string[] = [];
+  private filteredRecordIds: string[] = [];
+  private pageRecordIds: string[] = [];
+
+  private isEditMode: boolean = false;
+  private isSaving: boolean = false;
+  private pendingChanges: PendingChanges = {};
+  private saveErrors: { [recordId: string]: string } = {};
+  private columnMetadata: { [columnName: string]: ColumnMetadata } | null = null;
+  private editButton: HTMLButtonElement;
+  private saveButton: HTMLButtonElement;
+  private discardButton: HTMLButtonElement;
+
+  private controlState: ComponentFramework.Dictionary = {};
+  private viewStateKey: string;
+  private lastSavedViewState: string = "";
+  private hiddenColumns: string[] = [];
+  private columnOrder: string[] = [];
+  private columnWidths: { [columnName: string]: number } = {};
+  private isColumnChooserOpen: boolean = false;
+  private draggedColumn: string | null = null;
+  private suppressHeaderClick: boolean = false;
+
+  private groupByColumn: string = "";
+  private collapsedGroups: string[] = [];
+  private groupSegments: GroupSegment[] | null = null;
+  private showAggregates: boolean = false;
+  private groupBySelect: HTMLSelectElement;
+  private aggregatesButton: HTMLButtonElement;
+
+  // Position of the grid cell that takes part in the tab order, kept across renders
+  private focusedCell: CellPosition = { row: 0, column: 0 };
+  private totalPages: number = 0;
 
   constructor() {}
 
@@ -22,19 +145,52 @@ export class ContactsControl implements ComponentFramework.StandardControl<IInpu
     container: HTMLDivElement
   ): void {
     this.container = container;
+    this.getString = createStringFormatter(context.resources);
+    this.notifyOutputChanged = notifyOutputChanged;
+    this.selectedRecordIds = context.parameters.sampleDataSet.getSelectedRecordIds?.() ?? [];
+
+    if (context.parameters.layout?.raw === "auto") {
+      context.mode.trackContainerResize(true);
+    }
+
     this.loadStyles();
+
+    this.searchBar = document.createElement("div");
+    this.searchBar.classList.add("search-bar");
+    this.container.appendChild(this.searchBar);
     this.createSearchInput(context);
+    this.createViewToolbar(context);
+    this.createExportToolbar(context);
+
+    this.tableContainer = document.createElement("div");
+    this.container.appendChild(this.tableContainer);
+
+    const dataset = context.parameters.sampleDataSet;
+    this.controlState = { ...state };
+    this.viewStateKey = getViewStateKey(context.userSettings?.userId, dataset.getViewId?.());
+
+    const viewState = loadViewState(state, this.viewStateKey);
+    this.restoreViewState(context, viewState);
+    this.lastSavedViewState = JSON.stringify(viewState);
   }
 
   public updateView(context: ComponentFramework.Context<IInputs>): void {
     this.renderTable(context);
+    this.persistViewState(context);
   }
 
   public getOutputs(): IOutputs {
-    return {};
+    const firstSelectedId = this.selectedRecordIds[0];
+
+    return {
+      selectedRecordIds: this.selectedRecordIds.join(","),
+      selectedCount: this.selectedRecordIds.length,
+      selectedPrimaryName: firstSelectedId ? this.selectedNames[firstSelectedId] ?? "" : "",
+    };
   }
 
   public destroy(): void {
+    window.clearTimeout(this.searchTimeout);
     this.container.innerHTML = "";
   }
 
@@ -48,178 +204,1610 @@ export class ContactsControl implements ComponentFramework.StandardControl<IInpu
   private createSearchInput(context: ComponentFramework.Context<IInputs>): void {
     this.searchInput = document.createElement("input");
     this.searchInput.type = "text";
-    this.searchInput.placeholder = "Search by Fullname or other fields...";
+    this.searchInput.placeholder = this.getString("Search_Placeholder");
+    this.searchInput.setAttribute("aria-label", this.getString("Search_Label"));
     this.searchInput.classList.add("search-input");
 
+    // Waits for a pause in typing so every keystroke does not filter (or query the server) again
     this.searchInput.addEventListener("input", () => {
-      this.currentPage = 1; // Reset to first page when searching
+      window.clearTimeout(this.searchTimeout);
+      this.searchTimeout = window.setTimeout(() => this.applySearch(context), SEARCH_DEBOUNCE_MS);
+    });
+
+    this.searchBar.appendChild(this.searchInput);
+  }
+
+  private applySearch(context: ComponentFramework.Context<IInputs>): void {
+    this.currentPage = 1; // Reset to first page when searching
+
+    if (this.getServerCapabilities(context).filtering) {
+      applyServerSearch(context.parameters.sampleDataSet, parseSearchQuery(this.searchInput.value));
+      return;
+    }
+
+    this.updateView(context);
+  }
+
+  private createExportToolbar(context: ComponentFramework.Context<IInputs>): void {
+    const toolbar = document.createElement("div");
+    toolbar.classList.add("export-toolbar");
+
+    this.exportScopeSelect = document.createElement("select");
+    this.exportScopeSelect.title = this.getString("Export_Scope_Title");
+    const scopes: [ExportScope, string][] = [
+      ["page", this.getString("Export_Scope_Page")],
+      ["filtered", this.getString("Export_Scope_Filtered")],
+      ["selected", this.getString("Export_Scope_Selected")],
+    ];
+    scopes.forEach(([scope, label]) => {
+      const option = document.createElement("option");
+      option.value = scope;
+      option.innerText = label;
+      this.exportScopeSelect.appendChild(option);
+    });
+    toolbar.appendChild(this.exportScopeSelect);
+
+    const formats: [ExportFormat, string][] = [
+      ["csv", this.getString("Export_Csv")],
+      ["xlsx", this.getString("Export_Excel")],
+      ["vcard", this.getString("Export_VCard")],
+    ];
+    formats.forEach(([format, label]) => {
+      const button = document.createElement("button");
+      button.innerText = label;
+      button.addEventListener("click", () => this.exportRecords(context, format));
+      toolbar.appendChild(button);
+    });
+
+    this.searchBar.appendChild(toolbar);
+  }
+
+  // Under server paging only the current page is loaded, so the wider scopes cannot reach the other pages
+  private updateExportScopes(): void {
+    const filteredOption = this.exportScopeSelect.querySelector<HTMLOptionElement>("option[value='filtered']");
+    const selectedOption = this.exportScopeSelect.querySelector<HTMLOptionElement>("option[value='selected']");
+
+    if (filteredOption) {
+      filteredOption.disabled = this.isServerPaging;
+      filteredOption.innerText = this.getString(
+        this.isServerPaging ? "Export_Scope_Filtered_Unavailable" : "Export_Scope_Filtered"
+      );
+    }
+    if (selectedOption) {
+      selectedOption.innerText = this.getString(
+        this.isServerPaging ? "Export_Scope_Selected_Page" : "Export_Scope_Selected"
+      );
+    }
+
+    if (this.isServerPaging && this.exportScopeSelect.value === "filtered") {
+      this.exportScopeSelect.value = "page";
+    }
+  }
+
+  private createViewToolbar(context: ComponentFramework.Context<IInputs>): void {
+    const toolbar = document.createElement("div");
+    toolbar.classList.add("view-toolbar");
+
+    const columnsButton = document.createElement("button");
+    columnsButton.innerText = this.getString("Columns_Button");
+    columnsButton.addEventListener("click", () => {
+      this.isColumnChooserOpen = !this.isColumnChooserOpen;
+      this.updateView(context);
+    });
+    toolbar.appendChild(columnsButton);
+
+    // Options are filled in on every render, the dataset columns are not final during init
+    this.groupBySelect = document.createElement("select");
+    this.groupBySelect.title = this.getString("Group_By_Title");
+    this.groupBySelect.addEventListener("change", () => this.setGroupByColumn(context, this.groupBySelect.value));
+    toolbar.appendChild(this.groupBySelect);
+
+    this.aggregatesButton = document.createElement("button");
+    this.aggregatesButton.innerText = this.getString("Totals_Button");
+    this.aggregatesButton.addEventListener("click", () => {
+      this.showAggregates = !this.showAggregates;
+      this.updateView(context);
+    });
+    toolbar.appendChild(this.aggregatesButton);
+
+    const resetButton = document.createElement("button");
+    resetButton.innerText = this.getString("Reset_View_Button");
+    resetButton.addEventListener("click", () => this.resetView(context));
+    toolbar.appendChild(resetButton);
+
+    this.searchBar.appendChild(toolbar);
+  }
+
+  private getOrderedColumns(context: ComponentFramework.Context<IInputs>): DataSetInterfaces.Column[] {
+    return getOrderedColumns(context.parameters.sampleDataSet.columns, this.columnOrder);
+  }
+
+  private getVisibleColumns(context: ComponentFramework.Context<IInputs>): DataSetInterfaces.Column[] {
+    return this.getOrderedColumns(context).filter((column) => !this.hiddenColumns.includes(column.name));
+  }
+
+  private getViewState(): ViewState {
+    return {
+      currentPage: this.currentPage,
+      sortColumns: this.sortColumns,
+      searchText: this.searchInput.value,
+      hiddenColumns: this.hiddenColumns,
+      columnOrder: this.columnOrder,
+      columnWidths: this.columnWidths,
+      groupByColumn: this.groupByColumn,
+      showAggregates: this.showAggregates,
+    };
+  }
+
+  // Returns true when the restored search or sort was sent to the server, which refreshes the view itself
+  private restoreViewState(context: ComponentFramework.Context<IInputs>, viewState: ViewState): boolean {
+    const dataset = context.parameters.sampleDataSet;
+    const serverCapabilities = this.getServerCapabilities(context);
+    const hadSearch = this.searchInput.value.trim().length > 0;
+    const hadSort = this.getEffectiveSortColumns(context).length > 0;
+
+    this.sortColumns = viewState.sortColumns;
+    this.searchInput.value = viewState.searchText;
+    this.hiddenColumns = viewState.hiddenColumns;
+    this.columnOrder = viewState.columnOrder;
+    this.columnWidths = viewState.columnWidths;
+    this.groupByColumn = viewState.groupByColumn;
+    this.showAggregates = viewState.showAggregates;
+    this.collapsedGroups = [];
+    // Server pages are requested on demand, so a restored view starts from the first page there
+    this.currentPage = serverCapabilities.paging ? 1 : viewState.currentPage;
+
+    let refreshed = false;
+
+    if (serverCapabilities.filtering && (hadSearch || viewState.searchText.trim())) {
+      applyServerSearch(dataset, parseSearchQuery(viewState.searchText));
+      refreshed = true;
+    }
+
+    const sortColumns = this.getEffectiveSortColumns(context);
+    if (serverCapabilities.sorting && (hadSort || sortColumns.length > 0)) {
+      applyServerSort(dataset, sortColumns);
+      refreshed = true;
+    }
+
+    return refreshed;
+  }
+
+  private persistViewState(context: ComponentFramework.Context<IInputs>): void {
+    const viewState = this.getViewState();
+    const serialized = JSON.stringify(viewState);
+    if (serialized === this.lastSavedViewState) return;
+
+    this.lastSavedViewState = serialized;
+    saveViewState(context.mode, this.controlState, this.viewStateKey, viewState);
+  }
+
+  private resetView(context: ComponentFramework.Context<IInputs>): void {
+    this.isColumnChooserOpen = false;
+
+    if (!this.restoreViewState(context, createDefaultViewState())) {
       this.updateView(context);
+    }
+
+    this.persistViewState(context);
+  }
+
+  private renderColumnChooser(context: ComponentFramework.Context<IInputs>): void {
+    const chooser = document.createElement("div");
+    chooser.classList.add("column-chooser");
+
+    const visibleCount = this.getVisibleColumns(context).length;
+
+    this.getOrderedColumns(context).forEach((column) => {
+      const isVisible = !this.hiddenColumns.includes(column.name);
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = isVisible;
+      // At least one column has to stay visible
+      checkbox.disabled = isVisible && visibleCount === 1;
+      checkbox.addEventListener("change", () => {
+        this.hiddenColumns = checkbox.checked
+          ? this.hiddenColumns.filter((name) => name !== column.name)
+          : [...this.hiddenColumns, column.name];
+        this.updateView(context);
+      });
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(column.displayName));
+      chooser.appendChild(label);
+    });
+
+    this.tableContainer.appendChild(chooser);
+  }
+
+  private reorderColumn(context: ComponentFramework.Context<IInputs>, columnName: string, targetName: string): void {
+    const columnNames = this.getOrderedColumns(context).map((column) => column.name);
+    this.columnOrder = moveColumn(columnNames, columnName, targetName);
+    this.updateView(context);
+  }
+
+  private addHeaderDragListeners(
+    context: ComponentFramework.Context<IInputs>,
+    headerCell: HTMLTableCellElement,
+    columnName: string
+  ): void {
+    headerCell.draggable = true;
+    headerCell.addEventListener("dragstart", (event) => {
+      this.draggedColumn = columnName;
+      event.dataTransfer?.setData("text/plain", columnName);
+    });
+    headerCell.addEventListener("dragover", (event) => {
+      if (this.draggedColumn) event.preventDefault();
     });
+    headerCell.addEventListener("drop", (event) => {
+      event.preventDefault();
+      if (this.draggedColumn) this.reorderColumn(context, this.draggedColumn, columnName);
+      this.draggedColumn = null;
+    });
+    headerCell.addEventListener("dragend", () => {
+      this.draggedColumn = null;
+    });
+  }
+
+  private createColumnResizer(
+    context: ComponentFramework.Context<IInputs>,
+    headerCell: HTMLTableCellElement,
+    columnName: string
+  ): HTMLSpanElement {
+    const resizer = document.createElement("span");
+    resizer.classList.add("column-resizer");
+
+    resizer.addEventListener("mousedown", (event) => {
+      // Keeps the header from starting a column drag while resizing
+      event.preventDefault();
+      event.stopPropagation();
+      headerCell.draggable = false;
+
+      const startX = event.clientX;
+      const startWidth = headerCell.offsetWidth;
+
+      const onMouseMove = (moveEvent: MouseEvent) => {
+        const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+        headerCell.style.width = `${width}px`;
+      };
+
+      const onMouseUp = () => {
+        document.removeEventListener("mousemove", onMouseMove);
+        document.removeEventListener("mouseup", onMouseUp);
+        headerCell.draggable = true;
+
+        // The click that follows mouseup must not sort the column
+        this.suppressHeaderClick = true;
+        setTimeout(() => (this.suppressHeaderClick = false), 0);
+
+        this.columnWidths = { ...this.columnWidths, [columnName]: headerCell.offsetWidth };
+        this.persistViewState(context);
+      };
 
-    this.container.appendChild(this.searchInput);
+      document.addEventListener("mousemove", onMouseMove);
+      document.addEventListener("mouseup", onMouseUp);
+    });
+
+    return resizer;
+  }
+
+  private getServerCapabilities(context: ComponentFramework.Context<IInputs>): ServerCapabilities {
+    if (context.parameters.dataMode?.raw !== "server") return NO_SERVER_CAPABILITIES;
+    return getServerCapabilities(context.parameters.sampleDataSet);
+  }
+
+  private getLayout(context: ComponentFramework.Context<IInputs>): Layout {
+    const layout = context.parameters.layout?.raw ?? "table";
+    if (layout !== "auto") return layout;
+
+    // allocatedWidth is -1 until the host reports the container size
+    const width = context.mode.allocatedWidth;
+    if (!width || width < 0) return "table";
+    if (width < COMPACT_LIST_MAX_WIDTH) return "list";
+    if (width < CARD_GRID_MAX_WIDTH) return "cards";
+    return "table";
   }
 
   private renderTable(context: ComponentFramework.Context<IInputs>): void {
-    this.container.innerHTML = ""; // Clear previous content
+    // Rendering replaces every element, so keyboard focus is moved to the matching new element afterwards
+    const activeElement = document.activeElement;
+    const hasFocus = !!activeElement && this.tableContainer.contains(activeElement);
+    const gridHadFocus = hasFocus && !!activeElement.closest("[role='grid']");
+    const paginationHadFocus = hasFocus && !!activeElement.closest(".pagination");
 
-    const searchQuery = this.searchInput.value.trim().toLowerCase();
+    this.tableContainer.innerHTML = ""; // Clear previous content
+
+    const searchQuery = parseSearchQuery(this.searchInput.value);
+    const highlightTerms = getHighlightTerms(searchQuery, context.parameters.sampleDataSet.columns);
+    const layout = this.getLayout(context);
+    const totalPages = this.queryRecords(context, searchQuery);
+    this.totalPages = totalPages;
+    this.updateGroupControls(context);
+    this.updateExportScopes();
+
+    if (this.isColumnChooserOpen) {
+      this.renderColumnChooser(context);
+    }
+
+    if (this.isPageOnlySearch) {
+      this.renderSearchNotice();
+    }
+
+    if (layout === "table") {
+      this.renderEditToolbar(context);
+      this.renderTableRows(context, highlightTerms, gridHadFocus);
+    } else {
+      this.renderSortBar(context);
+      this.renderCards(context, layout, highlightTerms);
+    }
+
+    this.renderPaginationControls(totalPages, context);
+
+    if (paginationHadFocus) {
+      this.tableContainer.querySelector<HTMLElement>(".pagination [aria-current='page']")?.focus();
+    }
+  }
+
+  // Under server paging, terms the host filter cannot express only remove rows of the loaded page
+  private renderSearchNotice(): void {
+    const notice = document.createElement("p");
+    notice.classList.add("search-notice");
+    notice.setAttribute("role", "status");
+    notice.innerText = this.getString("Search_Page_Only_Notice");
+    this.tableContainer.appendChild(notice);
+  }
+
+  // Sorts, filters and pages the dataset into sortedRecordIds, filteredRecordIds and pageRecordIds
+  private queryRecords(context: ComponentFramework.Context<IInputs>, searchQuery: SearchQuery): number {
+    const dataset = context.parameters.sampleDataSet;
+    const serverCapabilities = this.getServerCapabilities(context);
+    const hasSearch = !isEmptyQuery(searchQuery);
+    const sortColumns = this.getEffectiveSortColumns(context);
+    const hasSort = sortColumns.length > 0;
+    // The host filters with the clauses it can express, the rest are matched on the records it loaded
+    const localQuery = serverCapabilities.filtering
+      ? splitServerSearch(dataset.columns, searchQuery).pageQuery
+      : searchQuery;
+
+    // Server paging is only correct when the search and sort it pages through also ran on the server
+    this.isServerPaging =
+      serverCapabilities.paging &&
+      (serverCapabilities.filtering || !hasSearch) &&
+      (serverCapabilities.sorting || !hasSort);
+    this.isPageOnlySearch = this.isServerPaging && !isEmptyQuery(localQuery);
+
+    if (this.isServerPaging && !this.pageSizeRequested && dataset.paging.pageSize !== this.recordsPerPage) {
+      this.pageSizeRequested = true;
+      dataset.paging.setPageSize(this.recordsPerPage);
+      dataset.refresh();
+    }
+
+    const nullOrder = this.getNullOrder(context);
+    const sortedRecords =
+      hasSort && !serverCapabilities.sorting
+        ? sortRecordIds(dataset.sortedRecordIds, dataset.records, dataset.columns, sortColumns, nullOrder)
+        : [...dataset.sortedRecordIds];
+    this.sortedRecordIds = sortedRecords;
+
+    // Typo tolerance only applies when the whole search runs in memory, server filters stay exact
+    const fuzzy = !serverCapabilities.filtering;
+    const filteredRecords = isEmptyQuery(localQuery)
+      ? sortedRecords
+      : sortedRecords.filter((recordId) => matchesQuery(dataset.records[recordId], dataset.columns, localQuery, fuzzy));
+    this.filteredRecordIds = filteredRecords;
+
+    const groupColumn = this.getGroupColumn(context);
+    const groups = groupColumn ? groupRecordIds(filteredRecords, dataset.records, groupColumn) : null;
+    this.groupSegments = null;
+
+    // Pagination setup
+    let totalPages: number;
+
+    if (this.isServerPaging) {
+      // The host already returned only the records of the current page
+      totalPages = getServerTotalPages(dataset.paging, this.currentPage, this.recordsPerPage);
+      this.pageRecordIds = filteredRecords;
+
+      if (groups) {
+        this.groupSegments = paginateGroups(groups, this.collapsedGroups, 0, filteredRecords.length);
+      }
+    } else {
+      // Pages hold recordsPerPage rows across groups, a collapsed group counts as one row
+      const totalRows = groups ? countGroupRows(groups, this.collapsedGroups) : filteredRecords.length;
+      totalPages = Math.ceil(totalRows / this.recordsPerPage);
+      this.currentPage = Math.min(this.currentPage, totalPages) || 1; // Ensure currentPage is within bounds
+
+      const startIndex = (this.currentPage - 1) * this.recordsPerPage;
+
+      if (groups) {
+        this.groupSegments = paginateGroups(groups, this.collapsedGroups, startIndex, this.recordsPerPage);
+      } else {
+        this.pageRecordIds = filteredRecords.slice(startIndex, startIndex + this.recordsPerPage);
+      }
+    }
+
+    if (this.groupSegments) {
+      this.pageRecordIds = this.groupSegments.flatMap((segment) => segment.recordIds);
+    }
+
+    return totalPages;
+  }
+
+  private renderTableRows(
+    context: ComponentFramework.Context<IInputs>,
+    highlightTerms: string[],
+    restoreFocus: boolean
+  ): void {
     const table = document.createElement("table");
+    table.setAttribute("role", "grid");
+    table.setAttribute("aria-label", context.parameters.sampleDataSet.getTitle?.() || this.getString("Grid_Label"));
+    if (this.getSelectionMode(context) === "multiple") table.setAttribute("aria-multiselectable", "true");
+
+    const tableHead = document.createElement("thead");
     const headerRow = document.createElement("tr");
+    headerRow.setAttribute("role", "row");
 
-    context.parameters.sampleDataSet.columns.forEach((column) => {
+    const selectAllCell = document.createElement("th");
+    selectAllCell.setAttribute("role", "columnheader");
+    selectAllCell.classList.add("select-cell");
+    const selectAllCheckbox = this.createSelectAllCheckbox(context);
+    if (selectAllCheckbox) selectAllCell.appendChild(selectAllCheckbox);
+    headerRow.appendChild(selectAllCell);
+
+    const visibleColumns = this.getVisibleColumns(context);
+
+    visibleColumns.forEach((column) => {
       const headerCell = document.createElement("th");
-      headerCell.innerHTML = `${column.displayName} ${this.getSortIndicator(column.name)}`;
+      headerCell.setAttribute("role", "columnheader");
+      headerCell.dataset.columnName = column.name;
+      headerCell.innerHTML = `${escapeHtml(column.displayName)} ${this.getSortIndicator(column.name)}`;
       headerCell.classList.add("sortable-header");
-      headerCell.addEventListener("click", () => this.sortTable(context, column.name));
+
+      // aria-sort belongs on a single header, the primary sort column
+      const primarySort = this.sortColumns[0];
+      if (primarySort?.name === column.name) {
+        headerCell.setAttribute("aria-sort", primarySort.isAscending ? "ascending" : "descending");
+      }
+
+      headerCell.addEventListener("click", (event) => {
+        if (!this.suppressHeaderClick) this.sortTable(context, column.name, event.shiftKey);
+      });
+
+      const width = this.columnWidths[column.name];
+      if (width) headerCell.style.width = `${width}px`;
+
+      this.addHeaderDragListeners(context, headerCell, column.name);
+      headerCell.appendChild(this.createColumnResizer(context, headerCell, column.name));
       headerRow.appendChild(headerCell);
     });
 
-    table.appendChild(headerRow);
+    if (this.isEditMode) {
+      const actionsHeader = document.createElement("th");
+      actionsHeader.setAttribute("role", "columnheader");
+      actionsHeader.setAttribute("aria-label", this.getString("Actions_Column"));
+      headerRow.appendChild(actionsHeader);
+    }
 
-    const sortedRecords = [...context.parameters.sampleDataSet.sortedRecordIds];
+    tableHead.appendChild(headerRow);
+    table.appendChild(tableHead);
 
-    if (this.currentSortColumn) {
-      sortedRecords.sort((a, b) => {
-        const recordA = context.parameters.sampleDataSet.records[a].getFormattedValue(this.currentSortColumn) || "";
-        const recordB = context.parameters.sampleDataSet.records[b].getFormattedValue(this.currentSortColumn) || "";
-        
-        return this.isAscending ? recordA.localeCompare(recordB) : recordB.localeCompare(recordA);
+    // Render paginated records
+    const tableBody = document.createElement("tbody");
+    const columnCount = visibleColumns.length + (this.isEditMode ? 2 : 1);
+    const appendRows = (recordIds: string[]) =>
+      recordIds.forEach((recordId) => {
+        tableBody.appendChild(this.createTableRow(context, recordId, visibleColumns, highlightTerms));
       });
+
+    if (this.groupSegments) {
+      this.groupSegments.forEach((segment) => {
+        const groupRow = document.createElement("tr");
+        groupRow.setAttribute("role", "row");
+        groupRow.setAttribute("aria-expanded", String(!segment.isCollapsed));
+        groupRow.classList.add("group-row");
+        groupRow.dataset.groupKey = segment.group.key;
+
+        const groupCell = document.createElement("td");
+        groupCell.setAttribute("role", "gridcell");
+        groupCell.colSpan = columnCount;
+        groupCell.appendChild(this.createGroupHeader(context, segment));
+        groupRow.appendChild(groupCell);
+        tableBody.appendChild(groupRow);
+
+        appendRows(segment.recordIds);
+      });
+    } else {
+      appendRows(this.pageRecordIds);
     }
 
-    // Apply search filtering with priority for "fullname"
-    const filteredRecords = sortedRecords.filter((recordId) => {
-      const currentRecord = context.parameters.sampleDataSet.records[recordId];
+    table.appendChild(tableBody);
 
-      const fullNameValue = currentRecord.getFormattedValue("fullname")?.toLowerCase() || "";
-      const matchesFullName = fullNameValue.includes(searchQuery);
+    if (this.showAggregates) {
+      table.appendChild(this.createAggregateFooter(context, visibleColumns));
+    }
 
-      const matchesOtherFields = context.parameters.sampleDataSet.columns.some((column) =>
-        currentRecord.getFormattedValue(column.name)?.toLowerCase().includes(searchQuery)
-      );
+    this.tableContainer.appendChild(table);
+    this.initGridFocus(context, table, restoreFocus);
+  }
 
-      return matchesFullName || matchesOtherFields;
+  // Roving tabindex: the grid is a single tab stop and the arrow keys move between its cells.
+  // Checkboxes and buttons inside cells are reached through the cell, edit inputs stay in the tab order.
+  private initGridFocus(
+    context: ComponentFramework.Context<IInputs>,
+    table: HTMLTableElement,
+    restoreFocus: boolean
+  ): void {
+    table.querySelectorAll<HTMLElement>("th, td").forEach((cell) => (cell.tabIndex = -1));
+    table.querySelectorAll<HTMLElement>("input[type='checkbox']:not(.cell-editor), button").forEach((element) => {
+      element.tabIndex = -1;
     });
 
-    // Pagination setup
-    const totalRecords = filteredRecords.length;
-    const totalPages = Math.ceil(totalRecords / this.recordsPerPage);
-    this.currentPage = Math.min(this.currentPage, totalPages) || 1; // Ensure currentPage is within bounds
+    const activeCell = this.getGridCell(table, this.focusedCell);
+    if (activeCell) {
+      activeCell.tabIndex = 0;
+      if (restoreFocus) activeCell.focus();
+    }
 
-    const startIndex = (this.currentPage - 1) * this.recordsPerPage;
-    const paginatedRecords = filteredRecords.slice(startIndex, startIndex + this.recordsPerPage);
+    table.addEventListener("focusin", (event) => {
+      const target = event.target as HTMLElement;
+      const cell = target.closest<HTMLTableCellElement>("th, td");
+      if (!cell) return;
 
-    // Render paginated records
-    paginatedRecords.forEach((recordId) => {
-      const currentRecord = context.parameters.sampleDataSet.records[recordId];
-      const tableRow = document.createElement("tr");
+      table.querySelectorAll<HTMLElement>("th[tabindex='0'], td[tabindex='0']").forEach((element) => {
+        element.tabIndex = -1;
+      });
+      cell.tabIndex = 0;
+      this.focusedCell = { row: (cell.parentElement as HTMLTableRowElement).rowIndex, column: cell.cellIndex };
 
-      context.parameters.sampleDataSet.columns.forEach((column) => {
+      // A clicked checkbox or button hands focus back to its cell so the arrow keys keep working
+      if (target !== cell && target.tabIndex < 0) cell.focus();
+    });
+
+    table.addEventListener("keydown", (event) => this.handleGridKeyDown(context, table, event));
+  }
+
+  private getGridCell(table: HTMLTableElement, position: CellPosition): HTMLTableCellElement | undefined {
+    const row = table.rows[Math.min(position.row, table.rows.length - 1)];
+    if (!row || row.cells.length === 0) return undefined;
+    return row.cells[Math.min(position.column, row.cells.length - 1)];
+  }
+
+  private handleGridKeyDown(
+    context: ComponentFramework.Context<IInputs>,
+    table: HTMLTableElement,
+    event: KeyboardEvent
+  ): void {
+    const cell = event.target as HTMLTableCellElement;
+    // Keys typed into an edit input belong to the input
+    if (!cell.matches("th, td")) return;
+
+    const row = cell.parentElement as HTMLTableRowElement;
+
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      this.activateGridCell(context, cell, row, event);
+      return;
+    }
+
+    // Moving through a group row, which has a single cell, keeps the column of the surrounding rows
+    const position = {
+      row: row.rowIndex,
+      column: this.focusedCell.row === row.rowIndex ? this.focusedCell.column : cell.cellIndex,
+    };
+    const columnCounts = Array.from(table.rows).map((tableRow) => tableRow.cells.length);
+
+    const move = getNextCellPosition(event.key, event.ctrlKey || event.metaKey, position, columnCounts);
+    if (!move) return;
+    event.preventDefault();
+
+    if (move === "previousPage" || move === "nextPage") {
+      const page = move === "nextPage" ? this.currentPage + 1 : this.currentPage - 1;
+      if (page >= 1 && page <= this.totalPages) this.goToPage(context, page);
+      return;
+    }
+
+    this.getGridCell(table, move)?.focus();
+    // focusin stored the cell index, which is lower than the logical column on a group row
+    this.focusedCell = move;
+  }
+
+  // Enter and Space act on the cell: toggle a group, edit, open or select a record, or sort by a column
+  private activateGridCell(
+    context: ComponentFramework.Context<IInputs>,
+    cell: HTMLTableCellElement,
+    row: HTMLTableRowElement,
+    event: KeyboardEvent
+  ): void {
+    const { recordId, groupKey } = row.dataset;
+    const editor = cell.querySelector<HTMLElement>(".cell-editor");
+    const button = cell.querySelector<HTMLButtonElement>("button:not(:disabled)");
+    const checkbox = cell.querySelector<HTMLInputElement>("input[type='checkbox']");
+
+    if (groupKey !== undefined) {
+      this.toggleGroup(context, groupKey);
+    } else if (editor) {
+      editor.focus();
+    } else if (button && event.key === "Enter") {
+      button.click();
+    } else if (recordId) {
+      if (event.key === "Enter") {
+        this.openRecord(context, recordId);
+      } else {
+        this.selectRecord(context, recordId, { range: event.shiftKey, toggle: true });
+      }
+    } else if (cell.dataset.columnName) {
+      this.sortTable(context, cell.dataset.columnName, event.shiftKey);
+    } else {
+      checkbox?.click();
+    }
+  }
+
+  private createTableRow(
+    context: ComponentFramework.Context<IInputs>,
+    recordId: string,
+    visibleColumns: DataSetInterfaces.Column[],
+    highlightTerms: string[]
+  ): HTMLTableRowElement {
+    const currentRecord = context.parameters.sampleDataSet.records[recordId];
+    const tableRow = document.createElement("tr");
+    const isSelected = this.selectedRecordIds.includes(recordId);
+    tableRow.setAttribute("role", "row");
+    tableRow.setAttribute("aria-selected", String(isSelected));
+    tableRow.dataset.recordId = recordId;
+    tableRow.classList.toggle("selected", isSelected);
+
+    const selectCell = document.createElement("td");
+    selectCell.setAttribute("role", "gridcell");
+    selectCell.classList.add("select-cell");
+    selectCell.appendChild(this.createRecordCheckbox(context, recordId, isSelected));
+    tableRow.appendChild(selectCell);
+
+    const undoButton = document.createElement("button");
+    undoButton.innerText = this.getString("Undo_Button");
+    undoButton.disabled = !this.pendingChanges[recordId];
+    undoButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this.undoRow(context, recordId);
+    });
+
+    visibleColumns.forEach((column) => {
+      const tableRowCell = document.createElement("td");
+      tableRowCell.setAttribute("role", "gridcell");
+      const editorKind = this.isEditMode ? this.getEditableKind(column) : null;
+
+      if (editorKind) {
+        this.renderCellEditor(context, tableRowCell, currentRecord, column, editorKind, () => {
+          undoButton.disabled = !this.pendingChanges[recordId];
+        });
+      } else {
         const value = currentRecord.getFormattedValue(column.name) || "";
-        const highlightedValue = this.highlightText(value, searchQuery);
+        tableRowCell.innerHTML = highlightMatches(value, highlightTerms);
+      }
+
+      tableRow.appendChild(tableRowCell);
+    });
+
+    if (this.isEditMode) {
+      const actionsCell = document.createElement("td");
+      actionsCell.setAttribute("role", "gridcell");
+      actionsCell.classList.add("edit-actions");
+      actionsCell.appendChild(undoButton);
+
+      if (this.saveErrors[recordId]) {
+        const errorMessage = document.createElement("div");
+        errorMessage.classList.add("row-error");
+        errorMessage.innerText = this.saveErrors[recordId];
+        actionsCell.appendChild(errorMessage);
+      }
+
+      tableRow.appendChild(actionsCell);
+    }
+
+    this.addRecordListeners(context, tableRow, recordId);
+    return tableRow;
+  }
+
+  // Card and list layouts have no column headers, so sorting and select-all move into a bar above them
+  private renderSortBar(context: ComponentFramework.Context<IInputs>): void {
+    const sortBar = document.createElement("div");
+    sortBar.classList.add("sort-bar");
+
+    const selectAllCheckbox = this.createSelectAllCheckbox(context);
+    if (selectAllCheckbox) sortBar.appendChild(selectAllCheckbox);
 
-        const tableRowCell = document.createElement("td");
-        tableRowCell.innerHTML = highlightedValue;
-        tableRow.appendChild(tableRowCell);
+    const primarySort = this.sortColumns[0];
+    const sortSelect = document.createElement("select");
+    sortSelect.title = this.getString("Sort_By_Title");
+    sortSelect.appendChild(document.createElement("option"));
+    this.getVisibleColumns(context).forEach((column) => {
+      const option = document.createElement("option");
+      option.value = column.name;
+      option.innerText = column.displayName;
+      sortSelect.appendChild(option);
+    });
+    sortSelect.value = primarySort?.name ?? "";
+    sortSelect.addEventListener("change", () => {
+      if (sortSelect.value) this.sortTable(context, sortSelect.value, false);
+    });
+    sortBar.appendChild(sortSelect);
+
+    if (primarySort) {
+      const directionButton = document.createElement("button");
+      directionButton.innerHTML = this.getSortIndicator(primarySort.name);
+      directionButton.title = this.getString(primarySort.isAscending ? "Sort_Ascending" : "Sort_Descending");
+      directionButton.addEventListener("click", () => this.sortTable(context, primarySort.name, false));
+      sortBar.appendChild(directionButton);
+    }
+
+    this.tableContainer.appendChild(sortBar);
+  }
+
+  private renderCards(context: ComponentFramework.Context<IInputs>, layout: Layout, highlightTerms: string[]): void {
+    const nameColumn = this.getPrimaryColumnName(context);
+    const imageColumn = context.parameters.imageColumn?.raw || "entityimage_url";
+    const lineColumns = this.getCardLineColumns(context, nameColumn, imageColumn);
+
+    const list = document.createElement("div");
+    list.classList.add(layout === "cards" ? "card-grid" : "compact-list");
+
+    const appendCards = (recordIds: string[]) =>
+      recordIds.forEach((recordId) => {
+        list.appendChild(this.createCard(context, recordId, nameColumn, imageColumn, lineColumns, highlightTerms));
       });
 
-      tableRow.addEventListener("click", () => {
-        this.showCustomAlert("Selected Record", `You selected <b>${currentRecord.getFormattedValue("fullname")}</b>.`);
+    if (this.groupSegments) {
+      this.groupSegments.forEach((segment) => {
+        list.appendChild(this.createGroupHeader(context, segment));
+        appendCards(segment.recordIds);
       });
+    } else {
+      appendCards(this.pageRecordIds);
+    }
 
-      table.appendChild(tableRow);
+    this.tableContainer.appendChild(list);
+  }
+
+  private createCard(
+    context: ComponentFramework.Context<IInputs>,
+    recordId: string,
+    nameColumn: string,
+    imageColumn: string,
+    lineColumns: string[],
+    highlightTerms: string[]
+  ): HTMLDivElement {
+    const record = context.parameters.sampleDataSet.records[recordId];
+    const isSelected = this.selectedRecordIds.includes(recordId);
+    const name = record.getFormattedValue(nameColumn) || "";
+
+    const card = document.createElement("div");
+    card.classList.add("contact-card");
+    card.classList.toggle("selected", isSelected);
+    card.appendChild(this.createRecordCheckbox(context, recordId, isSelected));
+
+    const imageUrl = record.getFormattedValue(imageColumn);
+    const avatar = document.createElement("div");
+    avatar.classList.add("avatar");
+    if (imageUrl) {
+      const image = document.createElement("img");
+      image.src = imageUrl;
+      image.alt = "";
+      avatar.appendChild(image);
+    } else {
+      avatar.innerText = getInitials(name);
+    }
+    card.appendChild(avatar);
+
+    const details = document.createElement("div");
+    details.classList.add("card-details");
+
+    const nameLine = document.createElement("div");
+    nameLine.classList.add("card-name");
+    nameLine.innerHTML = highlightMatches(name, highlightTerms);
+    details.appendChild(nameLine);
+
+    lineColumns.forEach((columnName, index) => {
+      const value = record.getFormattedValue(columnName);
+      if (!value) return;
+
+      const line = document.createElement("div");
+      line.classList.add(index === 0 ? "card-primary-line" : "card-secondary-line");
+      line.innerHTML = highlightMatches(value, highlightTerms);
+      details.appendChild(line);
     });
 
-    this.container.appendChild(table);
-    this.renderPaginationControls(totalPages, context);
+    card.appendChild(details);
+    this.addRecordListeners(context, card, recordId);
+
+    card.tabIndex = 0;
+    card.setAttribute("aria-label", name);
+    card.addEventListener("keydown", (event) => {
+      if (event.target !== card) return;
+
+      if (event.key === "Enter") {
+        this.openRecord(context, recordId);
+      } else if (event.key === " ") {
+        event.preventDefault();
+        this.selectRecord(context, recordId, { range: event.shiftKey, toggle: true });
+      }
+    });
+
+    return card;
+  }
+
+  private getPrimaryColumnName(context: ComponentFramework.Context<IInputs>): string {
+    return context.parameters.sampleDataSet.columns.find((column) => column.isPrimary)?.name ?? "fullname";
+  }
+
+  // Falls back to the first visible columns that are not already shown as the name or image
+  private getCardLineColumns(
+    context: ComponentFramework.Context<IInputs>,
+    nameColumn: string,
+    imageColumn: string
+  ): string[] {
+    const fallbackColumns = this.getVisibleColumns(context)
+      .map((column) => column.name)
+      .filter((columnName) => columnName !== nameColumn && columnName !== imageColumn);
+
+    const primaryLine = context.parameters.primaryLineColumn?.raw || fallbackColumns[0];
+    const secondaryLine =
+      context.parameters.secondaryLineColumn?.raw || fallbackColumns.find((columnName) => columnName !== primaryLine);
+
+    return [primaryLine, secondaryLine].filter((columnName): columnName is string => !!columnName);
+  }
+
+  private createRecordCheckbox(
+    context: ComponentFramework.Context<IInputs>,
+    recordId: string,
+    isSelected: boolean
+  ): HTMLInputElement {
+    const record = context.parameters.sampleDataSet.records[recordId];
+    const name = record?.getFormattedValue(this.getPrimaryColumnName(context));
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = isSelected;
+    checkbox.setAttribute("aria-label", name ? this.getString("Select_Record", name) : this.getString("Select_Row"));
+    checkbox.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this.selectRecord(context, recordId, { range: event.shiftKey, toggle: true });
+    });
+    return checkbox;
+  }
+
+  // Keyboard handling of table rows lives in the grid, see handleGridKeyDown
+  private addRecordListeners(
+    context: ComponentFramework.Context<IInputs>,
+    element: HTMLElement,
+    recordId: string
+  ): void {
+    element.addEventListener("click", (event) => {
+      this.selectRecord(context, recordId, { range: event.shiftKey, toggle: event.ctrlKey || event.metaKey });
+    });
+    element.addEventListener("dblclick", () => this.openRecord(context, recordId));
+  }
+
+  private getGroupColumn(context: ComponentFramework.Context<IInputs>): DataSetInterfaces.Column | undefined {
+    if (!this.groupByColumn) return undefined;
+    return context.parameters.sampleDataSet.columns.find((column) => column.name === this.groupByColumn);
+  }
+
+  // Grouping sorts by the group column first so each group is contiguous, the chosen sort applies within groups
+  private getEffectiveSortColumns(context: ComponentFramework.Context<IInputs>): SortColumn[] {
+    if (!this.getGroupColumn(context)) return this.sortColumns;
+
+    const groupSort = this.sortColumns.find((sortColumn) => sortColumn.name === this.groupByColumn) ?? {
+      name: this.groupByColumn,
+      isAscending: true,
+    };
+    return [groupSort, ...this.sortColumns.filter((sortColumn) => sortColumn !== groupSort)];
+  }
+
+  private setGroupByColumn(context: ComponentFramework.Context<IInputs>, columnName: string): void {
+    this.groupByColumn = columnName;
+    this.collapsedGroups = [];
+    this.currentPage = 1;
+
+    if (this.getServerCapabilities(context).sorting) {
+      applyServerSort(context.parameters.sampleDataSet, this.getEffectiveSortColumns(context));
+      return;
+    }
+
+    this.updateView(context);
+  }
+
+  private toggleGroup(context: ComponentFramework.Context<IInputs>, key: string): void {
+    this.collapsedGroups = this.collapsedGroups.includes(key)
+      ? this.collapsedGroups.filter((collapsedKey) => collapsedKey !== key)
+      : [...this.collapsedGroups, key];
+    this.updateView(context);
+  }
+
+  private updateGroupControls(context: ComponentFramework.Context<IInputs>): void {
+    this.groupBySelect.innerHTML = "";
+
+    const noGroupOption = document.createElement("option");
+    noGroupOption.value = "";
+    noGroupOption.innerText = this.getString("No_Grouping");
+    this.groupBySelect.appendChild(noGroupOption);
+
+    this.getOrderedColumns(context).forEach((column) => {
+      const option = document.createElement("option");
+      option.value = column.name;
+      option.innerText = this.getString("Group_By_Column", column.displayName);
+      this.groupBySelect.appendChild(option);
+    });
+
+    this.groupBySelect.value = this.getGroupColumn(context) ? this.groupByColumn : "";
+    this.aggregatesButton.innerText = this.getString(this.isServerPaging ? "Page_Totals_Button" : "Totals_Button");
+    this.aggregatesButton.classList.toggle("active", this.showAggregates);
+    this.aggregatesButton.setAttribute("aria-pressed", String(this.showAggregates));
+  }
+
+  private createGroupHeader(context: ComponentFramework.Context<IInputs>, segment: GroupSegment): HTMLDivElement {
+    const { group, isCollapsed } = segment;
+
+    const header = document.createElement("div");
+    header.classList.add("group-header");
+
+    const toggleButton = document.createElement("button");
+    toggleButton.classList.add("group-toggle");
+    toggleButton.innerText = isCollapsed ? "▸" : "▾";
+    toggleButton.title = this.getString(isCollapsed ? "Expand_Group" : "Collapse_Group");
+    toggleButton.setAttribute("aria-expanded", String(!isCollapsed));
+    toggleButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this.toggleGroup(context, group.key);
+    });
+    header.appendChild(toggleButton);
+
+    const label = document.createElement("span");
+    label.classList.add("group-label");
+    label.innerText = group.key || this.getString("Blank_Group");
+    header.appendChild(label);
+
+    const count = document.createElement("span");
+    count.classList.add("group-count");
+    // Under server paging the other records of the group are on pages that are not loaded
+    const countKey = this.isServerPaging
+      ? "Group_Count_Page"
+      : segment.isContinued
+      ? "Group_Count_Continued"
+      : "Group_Count";
+    count.innerText = this.getString(countKey, group.recordIds.length);
+    header.appendChild(count);
+
+    return header;
+  }
+
+  // Totals cover every record matching the search. Under server paging only the current page is loaded,
+  // so they cover that page and say so.
+  private createAggregateFooter(
+    context: ComponentFramework.Context<IInputs>,
+    visibleColumns: DataSetInterfaces.Column[]
+  ): HTMLTableSectionElement {
+    const dataset = context.parameters.sampleDataSet;
+    const footer = document.createElement("tfoot");
+    const footerRow = document.createElement("tr");
+    footerRow.setAttribute("role", "row");
+    footerRow.classList.add("aggregate-row");
+
+    const labelCell = document.createElement("td");
+    labelCell.setAttribute("role", "rowheader");
+    labelCell.classList.add("select-cell");
+    labelCell.innerText = "Σ";
+    labelCell.title = this.getString(this.isServerPaging ? "Page_Totals_Label" : "Totals_Button");
+    labelCell.setAttribute("aria-label", labelCell.title);
+    footerRow.appendChild(labelCell);
+
+    visibleColumns.forEach((column) => {
+      const cell = document.createElement("td");
+      cell.setAttribute("role", "gridcell");
+      const aggregates = computeAggregates(this.filteredRecordIds, dataset.records, column);
+
+      this.getAggregateLines(column, aggregates).forEach(([name, value]) => {
+        const line = document.createElement("div");
+        line.innerText = this.getString("Aggregate_Line", name, value);
+        cell.appendChild(line);
+      });
+
+      footerRow.appendChild(cell);
+    });
+
+    if (this.isEditMode) {
+      const actionsCell = document.createElement("td");
+      actionsCell.setAttribute("role", "gridcell");
+      footerRow.appendChild(actionsCell);
+    }
+
+    footer.appendChild(footerRow);
+    return footer;
+  }
+
+  private getAggregateLines(column: DataSetInterfaces.Column, aggregates: ColumnAggregates): [string, string][] {
+    const format = (value: number) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    const lines: [string, string][] = [
+      [this.getString("Aggregate_Count"), format(aggregates.count)],
+      [this.getString("Aggregate_Distinct"), format(aggregates.distinctCount)],
+    ];
+
+    if (isNumericColumn(column) && aggregates.sum !== undefined) {
+      lines.push(
+        [this.getString("Aggregate_Sum"), format(aggregates.sum)],
+        [this.getString("Aggregate_Average"), format(aggregates.average ?? 0)],
+        [this.getString("Aggregate_Min"), format(aggregates.min ?? 0)],
+        [this.getString("Aggregate_Max"), format(aggregates.max ?? 0)]
+      );
+    }
+
+    return lines;
+  }
+
+  private renderEditToolbar(context: ComponentFramework.Context<IInputs>): void {
+    const toolbar = document.createElement("div");
+    toolbar.classList.add("edit-toolbar");
+
+    this.editButton = document.createElement("button");
+    this.editButton.innerText = this.getString(this.isEditMode ? "Done_Editing_Button" : "Edit_Button");
+    this.editButton.addEventListener("click", () => this.toggleEditMode(context));
+    toolbar.appendChild(this.editButton);
+
+    if (this.isEditMode) {
+      this.saveButton = document.createElement("button");
+      this.saveButton.innerText = this.getString(this.isSaving ? "Saving_Button" : "Save_Button");
+      this.saveButton.addEventListener("click", () => this.saveEdits(context));
+      toolbar.appendChild(this.saveButton);
+
+      this.discardButton = document.createElement("button");
+      this.discardButton.innerText = this.getString("Discard_Button");
+      this.discardButton.addEventListener("click", () => this.discardEdits(context));
+      toolbar.appendChild(this.discardButton);
+    }
+
+    this.tableContainer.appendChild(toolbar);
+    this.updateEditToolbar(context);
+  }
+
+  private updateEditToolbar(context: ComponentFramework.Context<IInputs>): void {
+    const isDirty = Object.keys(this.pendingChanges).length > 0;
+
+    // Leaving edit mode is only allowed once every change was saved or discarded
+    this.editButton.disabled = this.isEditMode && isDirty;
+
+    if (this.isEditMode) {
+      this.saveButton.disabled = !isDirty || this.isSaving || this.hasValidationErrors(context);
+      this.discardButton.disabled = !isDirty || this.isSaving;
+    }
+  }
+
+  private toggleEditMode(context: ComponentFramework.Context<IInputs>): void {
+    this.isEditMode = !this.isEditMode;
+
+    if (this.isEditMode && !this.columnMetadata) {
+      this.loadColumnMetadata(context);
+    }
+
+    this.updateView(context);
+  }
+
+  // Required levels and option set labels are not part of the dataset columns
+  private loadColumnMetadata(context: ComponentFramework.Context<IInputs>): void {
+    const dataset = context.parameters.sampleDataSet;
+    const columnNames = dataset.columns.filter((column) => getEditorKind(column)).map((column) => column.name);
+
+    context.utils.getEntityMetadata(dataset.getTargetEntityType(), columnNames).then(
+      (entityMetadata) => {
+        const columnMetadata: { [columnName: string]: ColumnMetadata } = {};
+        columnNames.forEach((columnName) => {
+          columnMetadata[columnName] = readColumnMetadata(entityMetadata, columnName);
+        });
+
+        this.columnMetadata = columnMetadata;
+        this.updateView(context);
+      },
+      () => {
+        // Without metadata the server still rejects missing required values when saving
+        this.columnMetadata = {};
+        this.updateView(context);
+        this.showCustomAlert(this.getString("Metadata_Failed_Title"), this.getString("Metadata_Failed_Message"));
+      }
+    );
+  }
+
+  private getEditableKind(column: DataSetInterfaces.Column): EditorKind | null {
+    const kind = getEditorKind(column);
+
+    // Option sets can only be edited once their options are known
+    if (kind === "optionset" && !this.columnMetadata?.[column.name]?.options?.length) {
+      return null;
+    }
+
+    return kind;
+  }
+
+  private renderCellEditor(
+    context: ComponentFramework.Context<IInputs>,
+    cell: HTMLTableCellElement,
+    record: DataSetInterfaces.EntityRecord,
+    column: DataSetInterfaces.Column,
+    kind: EditorKind,
+    onEdit: () => void
+  ): void {
+    const recordId = record.getRecordId();
+    const originalValue = getEditValue(record, column, kind);
+    const pendingValue = this.pendingChanges[recordId]?.[column.name];
+    const value = pendingValue !== undefined ? pendingValue : originalValue;
+
+    let editor: HTMLInputElement | HTMLSelectElement;
+
+    if (kind === "optionset") {
+      const select = document.createElement("select");
+      select.appendChild(document.createElement("option"));
+      this.columnMetadata?.[column.name]?.options?.forEach((option) => {
+        const optionElement = document.createElement("option");
+        optionElement.value = option.value.toString();
+        optionElement.innerText = option.label;
+        select.appendChild(optionElement);
+      });
+      select.value = value as string;
+      editor = select;
+    } else {
+      const input = document.createElement("input");
+      input.type = INPUT_TYPES[kind];
+      if (kind === "number") input.step = "any";
+
+      if (kind === "boolean") {
+        input.checked = value as boolean;
+      } else {
+        input.value = value as string;
+      }
+      editor = input;
+    }
+
+    editor.classList.add("cell-editor");
+    editor.setAttribute("aria-label", column.displayName);
+
+    // Keep clicks and keys inside the editor from selecting or opening the record
+    ["click", "dblclick", "keydown"].forEach((eventName) => {
+      editor.addEventListener(eventName, (event) => event.stopPropagation());
+    });
+    // Escape hands focus back to the grid cell, where the arrow keys move on
+    editor.addEventListener("keydown", (event) => {
+      if ((event as KeyboardEvent).key === "Escape") cell.focus();
+    });
+
+    const applyEdit = () => {
+      const editedValue: EditValue =
+        editor instanceof HTMLInputElement && kind === "boolean" ? editor.checked : editor.value;
+      this.setPendingValue(recordId, column.name, editedValue, originalValue);
+      this.updateCellState(cell, kind, column, recordId);
+      this.updateEditToolbar(context);
+      onEdit();
+    };
+
+    editor.addEventListener(kind === "boolean" || kind === "optionset" ? "change" : "input", applyEdit);
+
+    cell.appendChild(editor);
+    this.updateCellState(cell, kind, column, recordId);
+  }
+
+  private setPendingValue(recordId: string, columnName: string, value: EditValue, originalValue: EditValue): void {
+    const rowChanges = { ...this.pendingChanges[recordId] };
+
+    if (value === originalValue) {
+      delete rowChanges[columnName];
+    } else {
+      rowChanges[columnName] = value;
+    }
+
+    if (Object.keys(rowChanges).length > 0) {
+      this.pendingChanges[recordId] = rowChanges;
+    } else {
+      delete this.pendingChanges[recordId];
+    }
+  }
+
+  private updateCellState(
+    cell: HTMLTableCellElement,
+    kind: EditorKind,
+    column: DataSetInterfaces.Column,
+    recordId: string
+  ): void {
+    const pendingValue = this.pendingChanges[recordId]?.[column.name];
+    const metadata = this.columnMetadata?.[column.name];
+    const error =
+      pendingValue !== undefined ? validateEditValue(kind, pendingValue, column, metadata, this.getString) : null;
+
+    cell.classList.toggle("dirty", pendingValue !== undefined);
+    cell.classList.toggle("invalid", !!error);
+    cell.title = error ?? "";
+    cell.querySelector(".cell-editor")?.setAttribute("aria-invalid", String(!!error));
+  }
+
+  private hasValidationErrors(context: ComponentFramework.Context<IInputs>): boolean {
+    const columns = context.parameters.sampleDataSet.columns;
+
+    return Object.keys(this.pendingChanges).some((recordId) =>
+      Object.keys(this.pendingChanges[recordId]).some((columnName) => {
+        const column = columns.find((item) => item.name === columnName);
+        const kind = column && getEditorKind(column);
+        if (!column || !kind) return false;
+
+        const value = this.pendingChanges[recordId][columnName];
+        return !!validateEditValue(kind, value, column, this.columnMetadata?.[columnName], this.getString);
+      })
+    );
+  }
+
+  private undoRow(context: ComponentFramework.Context<IInputs>, recordId: string): void {
+    delete this.pendingChanges[recordId];
+    delete this.saveErrors[recordId];
+    this.updateView(context);
+  }
+
+  private discardEdits(context: ComponentFramework.Context<IInputs>): void {
+    this.pendingChanges = {};
+    this.saveErrors = {};
+    this.updateView(context);
+  }
+
+  private saveEdits(context: ComponentFramework.Context<IInputs>): void {
+    if (this.isSaving || this.hasValidationErrors(context)) return;
+
+    const dataset = context.parameters.sampleDataSet;
+    const editorKinds: { [columnName: string]: EditorKind } = {};
+    dataset.columns.forEach((column) => {
+      const kind = getEditorKind(column);
+      if (kind) editorKinds[column.name] = kind;
+    });
+
+    this.isSaving = true;
+    this.updateView(context);
+
+    // Pending changes are kept, so the user can save again once the problem is fixed
+    const onSaveFailed = (error: unknown) => {
+      this.isSaving = false;
+      this.updateView(context);
+      this.showCustomAlert(this.getString("Save_Failed_Title"), getErrorMessage(error, this.getString("Save_Failed")));
+    };
+
+    const entityType = dataset.getTargetEntityType();
+    try {
+      saveChanges(context.webAPI, entityType, this.pendingChanges, editorKinds, this.getString)
+        .then((results) => {
+          this.isSaving = false;
+          this.saveErrors = {};
+
+          results.forEach((result) => {
+            if (result.error) {
+              this.saveErrors[result.recordId] = result.error;
+            } else {
+              delete this.pendingChanges[result.recordId];
+            }
+          });
+
+          if (results.some((result) => !result.error)) {
+            dataset.refresh();
+          }
+
+          this.updateView(context);
+        })
+        .catch(onSaveFailed);
+    } catch (error) {
+      onSaveFailed(error);
+    }
+  }
+
+  // Every scope keeps the current sort order
+  private getExportRecordIds(scope: ExportScope): string[] {
+    switch (scope) {
+      case "page":
+        return this.pageRecordIds;
+      case "selected":
+        return this.sortedRecordIds.filter((recordId) => this.selectedRecordIds.includes(recordId));
+      default:
+        return this.filteredRecordIds;
+    }
+  }
+
+  private buildExportTable(context: ComponentFramework.Context<IInputs>, recordIds: string[]): ExportTable {
+    const dataset = context.parameters.sampleDataSet;
+    const columns = this.getVisibleColumns(context);
+
+    return {
+      headers: columns.map((column) => column.displayName),
+      rows: recordIds.map((recordId) =>
+        columns.map((column): ExportCell => {
+          const record = dataset.records[recordId];
+          const cell: ExportCell = { text: record.getFormattedValue(column.name) || "" };
+
+          if (getValueKind(column.dataType) === "number" && column.dataType !== "OptionSet") {
+            const rawValue = record.getValue(column.name);
+            if (typeof rawValue === "number") cell.number = rawValue;
+          }
+
+          return cell;
+        })
+      ),
+    };
+  }
+
+  private exportRecords(context: ComponentFramework.Context<IInputs>, format: ExportFormat): void {
+    const dataset = context.parameters.sampleDataSet;
+    const recordIds = this.getExportRecordIds(this.exportScopeSelect.value as ExportScope).filter(
+      (recordId) => !!dataset.records[recordId]
+    );
+
+    if (recordIds.length === 0) {
+      this.showCustomAlert(this.getString("Nothing_To_Export_Title"), this.getString("Nothing_To_Export_Message"));
+      return;
+    }
+
+    if (format === "vcard") {
+      const mapping = parseVCardMapping(context.parameters.vCardMapping?.raw);
+      const vCards = toVCards(recordIds.map((recordId) => dataset.records[recordId]), mapping);
+      this.downloadFile(vCards, "contacts.vcf", "text/vcard;charset=utf-8");
+      return;
+    }
+
+    const table = this.buildExportTable(context, recordIds);
+
+    if (format === "xlsx") {
+      const workbook = toXlsx(table, dataset.getTitle?.() || "", this.getString("Export_Sheet_Name"));
+      this.downloadFile(workbook, "contacts.xlsx", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      return;
+    }
+
+    this.downloadFile(toCsv(table), "contacts.csv", "text/csv;charset=utf-8");
+  }
+
+  private downloadFile(content: BlobPart, fileName: string, mimeType: string): void {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  private getSelectionMode(context: ComponentFramework.Context<IInputs>): SelectionMode {
+    return context.parameters.selectionMode?.raw === "single" ? "single" : "multiple";
+  }
+
+  private createSelectAllCheckbox(context: ComponentFramework.Context<IInputs>): HTMLInputElement | null {
+    if (this.getSelectionMode(context) !== "multiple") return null;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.title = this.getString("Select_All");
+    checkbox.setAttribute("aria-label", checkbox.title);
+    checkbox.checked =
+      this.filteredRecordIds.length > 0 && this.filteredRecordIds.every((id) => this.selectedRecordIds.includes(id));
+    checkbox.addEventListener("click", () => {
+      this.setSelection(context, toggleAll(this.selectedRecordIds, this.filteredRecordIds));
+    });
+
+    return checkbox;
+  }
+
+  private selectRecord(
+    context: ComponentFramework.Context<IInputs>,
+    recordId: string,
+    gesture: SelectionGesture
+  ): void {
+    const nextSelection = getNextSelection(
+      this.selectedRecordIds,
+      recordId,
+      this.selectionAnchorId,
+      this.filteredRecordIds,
+      gesture,
+      this.getSelectionMode(context)
+    );
+
+    if (!gesture.range) {
+      this.selectionAnchorId = recordId;
+    }
+
+    this.setSelection(context, nextSelection);
+  }
+
+  private setSelection(context: ComponentFramework.Context<IInputs>, recordIds: string[]): void {
+    const dataset = context.parameters.sampleDataSet;
+    const primaryColumn = this.getPrimaryColumnName(context);
+
+    // Names are captured now because selected records may later be paged out of the dataset
+    recordIds.forEach((recordId) => {
+      const record = dataset.records[recordId];
+      if (record) this.selectedNames[recordId] = record.getFormattedValue(primaryColumn) || "";
+    });
+
+    this.selectedRecordIds = recordIds;
+    dataset.setSelectedRecordIds(recordIds);
+    this.notifyOutputChanged();
+    this.updateView(context);
+  }
+
+  private openRecord(context: ComponentFramework.Context<IInputs>, recordId: string): void {
+    const dataset = context.parameters.sampleDataSet;
+    const record = dataset.records[recordId];
+    if (!record) return;
+
+    if (typeof dataset.openDatasetItem === "function") {
+      dataset.openDatasetItem(record.getNamedReference());
+      return;
+    }
+
+    context.navigation
+      .openForm({ entityName: dataset.getTargetEntityType(), entityId: recordId })
+      .catch(() =>
+        this.showCustomAlert(this.getString("Open_Record_Failed_Title"), this.getString("Open_Record_Failed_Message"))
+      );
   }
 
   private renderPaginationControls(totalPages: number, context: ComponentFramework.Context<IInputs>): void {
-    const paginationDiv = document.createElement("div");
-    paginationDiv.classList.add("pagination");
+    const paginationNav = document.createElement("nav");
+    paginationNav.classList.add("pagination");
+    paginationNav.setAttribute("aria-label", this.getString("Pagination_Label"));
 
     const prevButton = document.createElement("button");
-    prevButton.innerText = "Previous";
-    prevButton.disabled = this.currentPage === 1;
+    prevButton.innerText = this.getString("Previous_Button");
+    prevButton.disabled = this.currentPage <= 1;
     prevButton.addEventListener("click", () => {
       if (this.currentPage > 1) {
-        this.currentPage--;
-        this.updateView(context);
+        this.goToPage(context, this.currentPage - 1);
       }
     });
 
     const nextButton = document.createElement("button");
-    nextButton.innerText = "Next";
-    nextButton.disabled = this.currentPage === totalPages;
+    nextButton.innerText = this.getString("Next_Button");
+    nextButton.disabled = this.currentPage >= totalPages;
     nextButton.addEventListener("click", () => {
       if (this.currentPage < totalPages) {
-        this.currentPage++;
-        this.updateView(context);
+        this.goToPage(context, this.currentPage + 1);
       }
     });
 
-    paginationDiv.appendChild(prevButton);
+    const pageList = document.createElement("ul");
+    pageList.classList.add("page-list");
 
-    for (let i = 1; i <= totalPages; i++) {
-      const pageButton = document.createElement("button");
-      pageButton.innerText = i.toString();
-      pageButton.classList.add(i === this.currentPage ? "active" : "");
-      pageButton.addEventListener("click", () => {
-        this.currentPage = i;
-        this.updateView(context);
-      });
+    getPageWindow(this.currentPage, totalPages).forEach((page) => {
+      const listItem = document.createElement("li");
+
+      if (page === "gap") {
+        listItem.classList.add("page-gap");
+        listItem.setAttribute("aria-hidden", "true");
+        listItem.innerText = "…";
+      } else {
+        const pageButton = document.createElement("button");
+        pageButton.innerText = page.toString();
+        pageButton.setAttribute("aria-label", this.getString("Page_Label", page));
+        if (page === this.currentPage) {
+          pageButton.classList.add("active");
+          pageButton.setAttribute("aria-current", "page");
+        }
+        pageButton.addEventListener("click", () => this.goToPage(context, page));
+        listItem.appendChild(pageButton);
+      }
+
+      pageList.appendChild(listItem);
+    });
+
+    const pageStatus = document.createElement("span");
+    pageStatus.classList.add("page-status");
+    pageStatus.setAttribute("aria-live", "polite");
+    pageStatus.innerText = this.getString("Page_Status", this.currentPage, Math.max(totalPages, 1));
 
-      paginationDiv.appendChild(pageButton);
+    paginationNav.appendChild(prevButton);
+    paginationNav.appendChild(pageList);
+    paginationNav.appendChild(nextButton);
+    paginationNav.appendChild(pageStatus);
+    this.tableContainer.appendChild(paginationNav);
+  }
+
+  private goToPage(context: ComponentFramework.Context<IInputs>, page: number): void {
+    if (this.isServerPaging) {
+      // The host pushes the requested page through another updateView cycle
+      this.currentPage = loadServerPage(context.parameters.sampleDataSet.paging, this.currentPage, page);
+      return;
     }
 
-    paginationDiv.appendChild(nextButton);
-    this.container.appendChild(paginationDiv);
+    this.currentPage = page;
+    this.updateView(context);
   }
 
-  private highlightText(value: string, searchQuery: string): string {
-    if (!searchQuery) return value;
-    const regex = new RegExp(`(${searchQuery})`, "gi");
-    return value.replace(regex, `<span class="highlight">$1</span>`);
+  private getNullOrder(context: ComponentFramework.Context<IInputs>): NullOrder {
+    return context.parameters.nullOrder?.raw === "first" ? "first" : "last";
   }
 
-  private sortTable(context: ComponentFramework.Context<IInputs>, columnName: string): void {
-    if (this.currentSortColumn === columnName) {
-      this.isAscending = !this.isAscending;
+  // Shift-click adds the column as the next sort level instead of replacing the current sort
+  private sortTable(context: ComponentFramework.Context<IInputs>, columnName: string, addToSort: boolean): void {
+    const existing = this.sortColumns.find((sortColumn) => sortColumn.name === columnName);
+
+    if (addToSort) {
+      if (existing) {
+        existing.isAscending = !existing.isAscending;
+      } else {
+        this.sortColumns.push({ name: columnName, isAscending: true });
+      }
     } else {
-      this.currentSortColumn = columnName;
-      this.isAscending = true;
+      const isAscending = existing && this.sortColumns.length === 1 ? !existing.isAscending : true;
+      this.sortColumns = [{ name: columnName, isAscending }];
+    }
+
+    if (this.getServerCapabilities(context).sorting) {
+      this.currentPage = 1;
+      applyServerSort(context.parameters.sampleDataSet, this.getEffectiveSortColumns(context));
+      return;
     }
 
     this.updateView(context);
   }
 
   private getSortIndicator(columnName: string): string {
-    if (this.currentSortColumn !== columnName) return "";
-    return this.isAscending ? "▲" : "▼";
+    const priority = this.sortColumns.findIndex((sortColumn) => sortColumn.name === columnName);
+    if (priority === -1) return "";
+
+    // Screen readers get the sort from aria-sort, so the arrows are hidden from them
+    const indicator = this.sortColumns[priority].isAscending ? "▲" : "▼";
+    if (this.sortColumns.length === 1) return `<span aria-hidden="true">${indicator}</span>`;
+    return `<span aria-hidden="true">${indicator}<span class="sort-priority">${priority + 1}</span></span>`;
   }
 
+  // A modal alert dialog: focus moves into it, Tab cycles inside it and Escape or OK closes it
   private showCustomAlert(title: string, message: string): void {
     document.querySelector("#customAlert")?.remove();
 
+    const previousFocus = document.activeElement as HTMLElement | null;
+
+    const overlay = document.createElement("div");
+    overlay.id = "customAlert";
+    overlay.classList.add("modal-overlay");
+
     const modal = document.createElement("div");
-    modal.id = "customAlert";
     modal.classList.add("modal");
+    modal.setAttribute("role", "alertdialog");
+    modal.setAttribute("aria-modal", "true");
+    modal.setAttribute("aria-labelledby", "customAlertTitle");
+    modal.setAttribute("aria-describedby", "customAlertMessage");
 
     const modalTitle = document.createElement("h3");
-    modalTitle.innerHTML = title;
+    modalTitle.id = "customAlertTitle";
+    modalTitle.innerText = title;
     modal.appendChild(modalTitle);
 
     const modalMessage = document.createElement("p");
-    modalMessage.innerHTML = message;
+    modalMessage.id = "customAlertMessage";
+    modalMessage.innerText = message;
     modal.appendChild(modalMessage);
 
+    const closeModal = () => {
+      overlay.remove();
+      if (previousFocus?.isConnected) previousFocus.focus();
+    };
+
     const closeButton = document.createElement("button");
-    closeButton.innerText = "OK";
+    closeButton.innerText = this.getString("Dialog_OK");
     closeButton.classList.add("modal-button");
-    closeButton.addEventListener("click", () => modal.remove());
+    closeButton.addEventListener("click", closeModal);
     modal.appendChild(closeButton);
 
-    document.body.appendChild(modal);
-    setTimeout(() => modal.classList.add("show"), 10);
+    modal.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        closeModal();
+      } else if (event.key === "Tab") {
+        trapFocus(modal, event);
+      }
+    });
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    setTimeout(() => {
+      modal.classList.add("show");
+      closeButton.focus();
+    }, 10);
   }
 }
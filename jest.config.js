@@ -0,0 +1,10 @@
+/** @type {import("jest").Config} */
+module.exports = {
+  preset: "ts-jest",
+  testEnvironment: "jsdom",
+  testMatch: ["**/__tests__/**/*.test.ts"],
+  // Stylesheets are bundled by pcf-scripts, the tests only need the import to resolve
+  moduleNameMapper: {
+    "\\.css$": "<rootDir>/ContactsControl/__tests__/mocks/styleMock.js",
+  },
+};